@@ -285,29 +285,25 @@ class AudioManager {
     
     /**
      * エンディングに応じたBGMを再生する
-     * @param {string} endingType - エンディングタイプ
+     * @param {Object} ending - エンディング定義（bgm: BGMタイプ, category: 'good' / 'bad'）
      */
-    playEndingBGM(endingType) {
+    playEndingBGM(ending) {
         console.log('=== playEndingBGM() 呼び出し ===');
-        console.log('受信したエンディングタイプ:', endingType);
+        console.log('受信したエンディング:', ending);
         
         let bgmType = 'normal';
         
-        switch (endingType) {
-            case '理想の共存エンド':
-            case '夢を叶えるエンド':
-            case '心でつながるエンド':
-                bgmType = 'goodEnding';
-                console.log('良いエンディング判定 -> goodEnding BGM');
-                break;
-            case '通常失敗エンド':
-            case '空白エンド':
-                bgmType = 'badEnding';
-                console.log('悪いエンディング判定 -> badEnding BGM');
-                break;
-            default:
-                bgmType = 'normal';
-                console.log('デフォルト判定 -> normal BGM');
+        if (ending && this.bgmPaths[ending.bgm]) {
+            // エンディング定義で指定されたBGM
+            bgmType = ending.bgm;
+        } else if (ending && ending.category === 'good') {
+            bgmType = 'goodEnding';
+            console.log('良いエンディング判定 -> goodEnding BGM');
+        } else if (ending && ending.category === 'bad') {
+            bgmType = 'badEnding';
+            console.log('悪いエンディング判定 -> badEnding BGM');
+        } else {
+            console.log('デフォルト判定 -> normal BGM');
         }
         
         console.log('最終的なBGMタイプ:', bgmType);
@@ -0,0 +1,64 @@
+/**
+ * バックログ（表示したテキストの履歴）クラス
+ * ダイアログ・イベントテキスト・選んだ選択肢を表示順に保持し、上限を超えた古いものから削除する
+ */
+
+// 保持する件数の既定値
+export const DEFAULT_BACKLOG_LIMIT = 200;
+
+export class Backlog {
+    /**
+     * @param {number} limit - 保持する件数の上限
+     */
+    constructor(limit = DEFAULT_BACKLOG_LIMIT) {
+        this.limit = limit;
+        this.entries = [];    // { type: 'dialogue' | 'event' | 'choice', text, day, event_id } の配列（新しいものが末尾）
+    }
+
+    /**
+     * テキストを追加する
+     * @param {Object} entry - 追加するテキスト
+     * @param {string} entry.type - 'dialogue'（ダイアログ）/ 'event'（イベントテキスト）/ 'choice'（選んだ選択肢）
+     * @param {string} entry.text - 表示したテキスト
+     * @param {number|null} entry.day - 表示した日
+     * @param {string|null} entry.event_id - イベントID（イベント外の場合はnull）
+     */
+    add(entry) {
+        this.entries.push({
+            type: entry.type || 'dialogue',
+            text: String(entry.text),
+            day: entry.day ?? null,
+            event_id: entry.event_id ?? null
+        });
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+    }
+
+    /**
+     * 保持しているテキストを取得する
+     * @returns {Array<Object>} テキストの配列（古い順）
+     */
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * 保持するテキストを置き換える（セーブデータ復元用）
+     * 上限を超える場合は新しいものを残す
+     * @param {Array<Object>} entries - getEntries()で取得したテキストの配列
+     */
+    setEntries(entries) {
+        this.entries = [];
+        (Array.isArray(entries) ? entries : [])
+            .filter(entry => entry && typeof entry.text === 'string')
+            .forEach(entry => this.add(entry));
+    }
+
+    /**
+     * すべてのテキストを削除する
+     */
+    clear() {
+        this.entries = [];
+    }
+}
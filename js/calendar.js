@@ -0,0 +1,114 @@
+/**
+ * カレンダーシステムクラス
+ * ゲーム内の日数（1〜max_days）を日付・曜日・季節に対応付け、祝日や誕生日などの特別な日を判定する
+ * 定義は assets/data/calendar.json から読み込む
+ */
+
+// 曜日（Date.getUTCDay() と同じく0が日曜日）
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// 月 → 季節
+const SEASONS_BY_MONTH = {
+    1: 'winter', 2: 'winter', 3: 'spring', 4: 'spring', 5: 'spring', 6: 'summer',
+    7: 'summer', 8: 'summer', 9: 'autumn', 10: 'autumn', 11: 'autumn', 12: 'winter'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class Calendar {
+    constructor() {
+        this.definition = this.getFallbackDefinition();
+        this.isLoaded = false;
+    }
+
+    /**
+     * JSONファイルからカレンダー定義を読み込む
+     * @returns {Promise<boolean>} 読み込み成功可否
+     */
+    async loadCalendar() {
+        try {
+            const response = await fetch('./assets/data/calendar.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (Number.isNaN(Date.parse(data.start_date))) {
+                throw new Error(`start_date が不正です: ${data.start_date}`);
+            }
+
+            this.definition = {
+                start_date: data.start_date,
+                holidays: data.holidays || [],
+                birthdays: data.birthdays || []
+            };
+            this.isLoaded = true;
+
+            console.log(`カレンダー定義を読み込みました: ${this.definition.start_date}開始`);
+            return true;
+        } catch (error) {
+            console.error('カレンダー定義の読み込みに失敗しました:', error);
+
+            // フォールバックデータを使用
+            this.definition = this.getFallbackDefinition();
+            this.isLoaded = true;
+            console.warn('フォールバックカレンダー定義を使用します');
+            return false;
+        }
+    }
+
+    /**
+     * ゲーム内の日数に対応する日付情報を取得する
+     * @param {number} day - ゲーム内の日数（1始まり）
+     * @returns {Object} 日付情報（year, month, date, weekday, weekday_name, season, holidays, birthdays, is_holiday）
+     */
+    getDate(day) {
+        const start = new Date(`${this.definition.start_date}T00:00:00Z`);
+        const current = new Date(start.getTime() + (day - 1) * DAY_MS);
+        const month = current.getUTCMonth() + 1;
+        const date = current.getUTCDate();
+        const weekday = current.getUTCDay();
+        const isOn = (entry) => entry.month === month && entry.date === date;
+        const holidays = this.definition.holidays.filter(isOn).map(entry => entry.id);
+
+        return {
+            year: current.getUTCFullYear(),
+            month: month,
+            date: date,
+            weekday: weekday,
+            weekday_name: WEEKDAYS[weekday],
+            season: SEASONS_BY_MONTH[month],
+            holidays: holidays,
+            birthdays: this.definition.birthdays.filter(isOn).map(entry => entry.id),
+            is_holiday: holidays.length > 0
+        };
+    }
+
+    /**
+     * IDに対応する祝日・誕生日の定義を取得する
+     * @param {string} id - 祝日または誕生日のID
+     * @returns {Object|null} 定義（id, month, date, name）
+     */
+    getSpecialDay(id) {
+        return this.definition.holidays.find(entry => entry.id === id) ||
+            this.definition.birthdays.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * フォールバックカレンダー定義を取得する（assets/data/calendar.json と同じ内容）
+     * @returns {Object} カレンダー定義
+     */
+    getFallbackDefinition() {
+        return {
+            start_date: '2025-07-21',
+            holidays: [
+                { id: 'marine_day', month: 7, date: 21, name: '海の日', translations: { en: { name: 'Marine Day' } } },
+                { id: 'mountain_day', month: 8, date: 11, name: '山の日', translations: { en: { name: 'Mountain Day' } } },
+                { id: 'summer_festival', month: 8, date: 15, name: '夏祭り', translations: { en: { name: 'Summer Festival' } } }
+            ],
+            birthdays: [
+                { id: 'shisu_birthday', month: 8, date: 3, name: 'しすの誕生日', translations: { en: { name: "Shisu's Birthday" } } }
+            ]
+        };
+    }
+}
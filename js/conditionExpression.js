@@ -0,0 +1,170 @@
+/**
+ * 条件式の評価
+ * エンディング定義などのデータに書かれた条件式を、eval()を使わずに安全に評価する
+ *
+ * 対応する構文:
+ *   数値・文字列（'...' または "..."）・true / false
+ *   識別子（ドット区切りで入れ子を参照: money, flags.confessed, config.goal_money）
+ *   比較演算子: >= <= > < == !=
+ *   論理演算子: && || !
+ *   括弧: ( )
+ */
+
+const TOKEN_PATTERN = /\s*(>=|<=|==|!=|&&|\|\||[()<>!]|-?\d+(?:\.\d+)?|'[^']*'|"[^"]*"|[A-Za-z_][A-Za-z0-9_.]*)/y;
+
+/**
+ * 条件式を字句に分割する
+ * @param {string} expression - 条件式
+ * @returns {Array<string>} 字句の配列
+ * @throws {Error} 解釈できない文字が含まれる場合
+ */
+export function tokenize(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) {
+            break;
+        }
+
+        const position = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            const column = position + expression.slice(position).match(/^\s*/)[0].length + 1;
+            throw new Error(`条件式を解釈できません（${column}文字目）: ${expression}`);
+        }
+        tokens.push(match[1]);
+    }
+
+    return tokens;
+}
+
+/**
+ * 条件式を構文木に変換する
+ * @param {string} expression - 条件式
+ * @returns {Object} 構文木
+ * @throws {Error} 構文エラーの場合
+ */
+export function parseExpression(expression) {
+    const tokens = tokenize(String(expression));
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) {
+            throw new Error(`条件式に "${token}" が必要です: ${expression}`);
+        }
+    };
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (peek() === '||') {
+            next();
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+
+    const parseAnd = () => {
+        let node = parseComparison();
+        while (peek() === '&&') {
+            next();
+            node = { type: 'and', left: node, right: parseComparison() };
+        }
+        return node;
+    };
+
+    const parseComparison = () => {
+        let node = parseUnary();
+        if (['>=', '<=', '>', '<', '==', '!='].includes(peek())) {
+            const operator = next();
+            node = { type: 'compare', operator: operator, left: node, right: parseUnary() };
+        }
+        return node;
+    };
+
+    const parseUnary = () => {
+        if (peek() === '!') {
+            next();
+            return { type: 'not', operand: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) {
+            throw new Error(`条件式が途中で終わっています: ${expression}`);
+        }
+        if (token === '(') {
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+        if (/^-?\d/.test(token)) {
+            return { type: 'literal', value: Number(token) };
+        }
+        if (/^['"]/.test(token)) {
+            return { type: 'literal', value: token.slice(1, -1) };
+        }
+        if (token === 'true' || token === 'false') {
+            return { type: 'literal', value: token === 'true' };
+        }
+        if (/^[A-Za-z_]/.test(token)) {
+            return { type: 'identifier', path: token.split('.') };
+        }
+        throw new Error(`条件式に予期しない "${token}" があります: ${expression}`);
+    };
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`条件式に予期しない "${tokens[position]}" があります: ${expression}`);
+    }
+    return tree;
+}
+
+/**
+ * 構文木を評価する（内部関数）
+ * @param {Object} node - 構文木のノード
+ * @param {Object} context - 識別子の参照先
+ * @returns {*} 評価結果
+ */
+function evaluateNode(node, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'identifier':
+            return node.path.reduce((value, key) => (value === undefined || value === null) ? undefined : value[key], context);
+        case 'not':
+            return !evaluateNode(node.operand, context);
+        case 'and':
+            return Boolean(evaluateNode(node.left, context)) && Boolean(evaluateNode(node.right, context));
+        case 'or':
+            return Boolean(evaluateNode(node.left, context)) || Boolean(evaluateNode(node.right, context));
+        case 'compare': {
+            const left = evaluateNode(node.left, context);
+            const right = evaluateNode(node.right, context);
+            switch (node.operator) {
+                case '>=': return left >= right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '<': return left < right;
+                case '==': return left === right;
+                case '!=': return left !== right;
+            }
+        }
+    }
+    throw new Error(`不明な構文木ノード: ${node.type}`);
+}
+
+/**
+ * 条件式を評価する
+ * @param {string} expression - 条件式（例: "affection >= config.affection_threshold && flags.confessed"）
+ * @param {Object} context - 識別子の参照先（ゲーム状態など）
+ * @returns {boolean} 条件を満たすかどうか
+ * @throws {Error} 構文エラーの場合
+ */
+export function evaluateCondition(expression, context) {
+    return Boolean(evaluateNode(parseExpression(expression), context));
+}
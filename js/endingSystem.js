@@ -0,0 +1,172 @@
+import { evaluateCondition } from './conditionExpression.js';
+
+/**
+ * エンディングシステムクラス
+ * JSONからエンディング定義を読み込み、ゲーム状態に対して順番に条件を評価する
+ * エンディングの判定・タイトル・本文・BGMはすべてこの定義から決まる
+ */
+export class EndingSystem {
+    constructor() {
+        this.endings = this.getFallbackEndings();
+        this.isLoaded = false;
+    }
+
+    /**
+     * JSONファイルからエンディング定義を読み込む
+     * @returns {Promise<boolean>} 読み込み成功可否
+     */
+    async loadEndings() {
+        try {
+            const response = await fetch('./assets/data/endings.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!Array.isArray(data.endings) || data.endings.length === 0) {
+                throw new Error('エンディング定義が空です');
+            }
+
+            this.endings = data.endings;
+            this.isLoaded = true;
+
+            console.log(`エンディング定義を読み込みました: ${this.endings.length}件`);
+            return true;
+        } catch (error) {
+            console.error('エンディング定義の読み込みに失敗しました:', error);
+
+            // フォールバックデータを使用
+            this.endings = this.getFallbackEndings();
+            this.isLoaded = true;
+            console.warn('フォールバックエンディング定義を使用します');
+            return false;
+        }
+    }
+
+    /**
+     * ゲーム状態に対してエンディング定義を先頭から評価し、最初に条件を満たしたものを返す
+     * timingが 'final' の定義は最終日（max_days）到達時のみ評価する
+     * @param {Object} state - GameState.getState()で取得したゲーム状態
+     * @returns {Object|null} 到達したエンディング定義（ゲーム継続の場合はnull）
+     */
+    evaluate(state) {
+        const isFinalDay = state.day >= state.config.max_days;
+        const context = this.createConditionContext(state);
+
+        for (const ending of this.endings) {
+            if (ending.timing === 'final' && !isFinalDay) {
+                continue;
+            }
+
+            try {
+                if (evaluateCondition(ending.condition, context)) {
+                    return ending;
+                }
+            } catch (error) {
+                console.error(`エンディング "${ending.id}" の条件式が不正です:`, error);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 条件式から参照できる値を作成する（内部メソッド）
+     * @param {Object} state - ゲーム状態
+     * @returns {Object} 条件式の参照先
+     */
+    createConditionContext(state) {
+        return {
+            ...state,
+            flags: state.flags || {},
+            counters: state.counters || {},
+            config: state.config || {}
+        };
+    }
+
+    /**
+     * IDに対応するエンディング定義を取得する
+     * @param {string} endingId - エンディングID
+     * @returns {Object|null} エンディング定義
+     */
+    getEnding(endingId) {
+        return this.endings.find(ending => ending.id === endingId) || null;
+    }
+
+    /**
+     * 全エンディング定義を取得する（デバッグ用）
+     * @returns {Array} 全エンディング定義
+     */
+    getAllEndings() {
+        return [...this.endings];
+    }
+
+    /**
+     * フォールバックエンディング定義を取得する（assets/data/endings.json と同じ内容）
+     * @returns {Array} エンディング定義
+     */
+    getFallbackEndings() {
+        return [
+            {
+                id: 'bad_end',
+                timing: 'any',
+                condition: 'consecutive_none >= config.bad_end_threshold',
+                title: '空白エンド',
+                text: ['何もしない日々が続きすぎました...', 'もう少し積極的に行動すれば良かったかもしれません。'],
+                bgm: 'badEnding',
+                category: 'bad',
+                translations: {
+                    en: { title: 'Blank Ending', text: ['Too many days went by doing nothing...', 'Maybe you should have been a little more proactive.'] }
+                }
+            },
+            {
+                id: 'perfect_end',
+                timing: 'final',
+                condition: 'affection >= config.affection_threshold && money >= config.goal_money',
+                title: '理想の共存エンド',
+                text: ['理想の共存を実現しました！', 'しすとの関係も良好で、夢も叶えることができました。'],
+                bgm: 'goodEnding',
+                category: 'good',
+                translations: {
+                    en: { title: 'Ideal Life Together Ending', text: ['You achieved the ideal life together!', 'Your bond with Shisu is strong, and your dream came true.'] }
+                }
+            },
+            {
+                id: 'money_end',
+                timing: 'final',
+                condition: 'money >= config.goal_money',
+                title: '夢を叶えるエンド',
+                text: ['夢を叶えることができました！', '目標金額を達成しましたが、しすとの関係はもう少し深められたかもしれません。'],
+                bgm: 'goodEnding',
+                category: 'good',
+                translations: {
+                    en: { title: 'Dream Come True Ending', text: ['Your dream came true!', 'You reached your savings goal, though your bond with Shisu could have grown deeper.'] }
+                }
+            },
+            {
+                id: 'affection_end',
+                timing: 'final',
+                condition: 'affection >= config.affection_threshold',
+                title: '心でつながるエンド',
+                text: ['しすとの心のつながりを深めることができました！', 'お金は目標に届きませんでしたが、大切なものを得られました。'],
+                bgm: 'goodEnding',
+                category: 'good',
+                translations: {
+                    en: { title: 'Hearts Connected Ending', text: ['You deepened your heartfelt bond with Shisu!', 'You fell short of your savings goal, but you gained something precious.'] }
+                }
+            },
+            {
+                id: 'normal_end',
+                timing: 'final',
+                condition: 'true',
+                title: '通常失敗エンド',
+                text: ['30日間お疲れ様でした。', '目標は達成できませんでしたが、それなりに充実した日々でした。'],
+                bgm: 'badEnding',
+                category: 'bad',
+                translations: {
+                    en: { title: 'Ordinary Failure Ending', text: ['Thank you for your hard work over these 30 days.', 'You did not reach your goals, but they were fulfilling days all the same.'] }
+                }
+            }
+        ];
+    }
+}
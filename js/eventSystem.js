@@ -1,115 +1,533 @@
+import { SeededRandom } from './random.js';
+import { validateEvents, checkActionCoverage } from './eventValidator.js';
+import { evaluateCondition } from './conditionExpression.js';
+
 /**
  * イベントシステムクラス
- * JSONからイベントデータを読み込み、行動タイプ別の重み付きランダムイベント選択を管理する
+ * イベントパック（JSON）を読み込んで統合し、行動タイプ別の重み付きランダムイベント選択を管理する
+ * 後続イベントの予約キューを持ち、予約されたイベントを通常の選択より優先する
  */
 export class EventSystem {
-    constructor() {
+    /**
+     * @param {SeededRandom} random - 乱数生成器（GameStateと共有する）
+     */
+    constructor(random = new SeededRandom()) {
         this.events = [];
         this.isLoaded = false;
+        this.random = random;
+        this.validationResult = { errors: [], warnings: [] };
+        this.activePacks = [];        // 読み込みに成功したイベントパック
+        this.packErrors = [];         // パックごとの読み込みエラー
+        this.scheduledEvents = [];    // 予約イベント { event_id, day: 発生日（nullは日付指定なし）, type: 行動タイプ（nullは指定なし） }
     }
     
     /**
-     * JSONファイルからイベントデータを読み込む（要件3.2）
-     * @returns {Promise<boolean>} 読み込み成功可否
+     * 使用する乱数生成器を差し替える（新規ゲーム・ロード時）
+     * @param {SeededRandom} random - 乱数生成器
      */
-    async loadEvents() {
-        try {
-            const response = await fetch('./assets/data/events.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    setRandom(random) {
+        this.random = random;
+    }
+    
+    /**
+     * マニフェストに列挙されたイベントパックを順に読み込み、統合する（要件3.2）
+     * 後のパックは同じidのイベントを上書き・無効化できる
+     * 読み込んだデータはパックごとに eventValidator で検証し、問題をコンソールに報告する
+     * @param {Object} validationOptions - 検証設定（max_days）
+     * @returns {Promise<boolean>} 1つ以上のパックの読み込みに成功したかどうか
+     */
+    async loadEvents(validationOptions = {}) {
+        this.activePacks = [];
+        this.packErrors = [];
+        
+        const packs = await this.loadManifest();
+        const eventsById = new Map();
+        const loadedPacks = [];    // 検証用のパックごとのイベント { id, events }
+        
+        for (const pack of packs) {
+            try {
+                const data = await this.fetchJSON(pack.path);
+                this.mergePack(eventsById, data);
+                loadedPacks.push({ id: pack.id, events: data.events || [] });
+                this.activePacks.push({
+                    id: pack.id,
+                    name: pack.name || pack.id,
+                    path: pack.path,
+                    event_count: (data.events || []).length
+                });
+                console.log(`イベントパック "${pack.id}" を読み込みました: ${(data.events || []).length}件`);
+            } catch (error) {
+                console.error(`イベントパック "${pack.id}" の読み込みに失敗しました:`, error);
+                this.packErrors.push({ id: pack.id, path: pack.path, message: error.message });
             }
-            
-            const data = await response.json();
-            this.events = data.events || [];
-            this.isLoaded = true;
-            
-            console.log(`イベントデータを読み込みました: ${this.events.length}件`);
-            return true;
-        } catch (error) {
-            console.error('イベントデータの読み込みに失敗しました:', error);
-            
-            // フォールバックデータを使用
+        }
+        
+        if (this.activePacks.length === 0) {
+            // すべてのパックが読み込めなかった場合のみフォールバックデータを使用
             this.events = this.getFallbackEvents();
             this.isLoaded = true;
             console.warn('フォールバックイベントデータを使用します');
+            this.reportValidation(validationOptions);
             return false;
         }
+        
+        this.events = Array.from(eventsById.values());
+        this.isLoaded = true;
+        
+        console.log(`イベントデータを読み込みました: ${this.events.length}件`);
+        this.reportValidation(validationOptions, loadedPacks);
+        return true;
+    }
+    
+    /**
+     * イベントパックのマニフェストを読み込む
+     * マニフェストが読み込めない場合は events.json のみを基本パックとして扱う
+     * @returns {Promise<Array<Object>>} 有効なパックの配列（読み込み順）
+     */
+    async loadManifest() {
+        try {
+            const manifest = await this.fetchJSON('./assets/data/packs.json');
+            return (manifest.packs || []).filter(pack => pack.enabled !== false);
+        } catch (error) {
+            console.warn('イベントパックのマニフェストを読み込めません - 基本パックのみを使用します:', error);
+            return [{ id: 'base', name: '基本イベント', path: './assets/data/events.json' }];
+        }
+    }
+    
+    /**
+     * JSONファイルを取得する（内部メソッド）
+     * @param {string} path - ファイルのパス
+     * @returns {Promise<Object>} JSONデータ
+     */
+    async fetchJSON(path) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    /**
+     * パックのイベントを統合する（内部メソッド）
+     * 同じidのイベントは後のパックで上書きされ、"disabled": true のイベントと disable に列挙されたidは取り除かれる
+     * 同じパック内でのidの重複やidのないイベントは上書きではなくエラーとして reportValidation() で報告する
+     * @param {Map<string, Object>} eventsById - 統合中のイベント（id → イベント）
+     * @param {Object} data - パックのデータ（events, disable）
+     * @throws {Error} events・disable が配列でない場合（eventsById は変更しない）
+     */
+    mergePack(eventsById, data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('パックのデータがオブジェクトではありません');
+        }
+        if (data.events !== undefined && !Array.isArray(data.events)) {
+            throw new Error('パックの events が配列ではありません');
+        }
+        if (data.disable !== undefined && !Array.isArray(data.disable)) {
+            throw new Error('パックの disable が配列ではありません');
+        }
+        
+        (data.events || []).forEach(event => {
+            if (!event || typeof event.id !== 'string' || event.id === '') {
+                // idのないイベントは上書き・参照できないため統合しない
+                return;
+            }
+            if (event.disabled) {
+                eventsById.delete(event.id);
+            } else {
+                // Mapは既存キーの順序を保つため、上書きしても元の位置に残る
+                eventsById.set(event.id, event);
+            }
+        });
+        
+        (data.disable || []).forEach(eventId => eventsById.delete(eventId));
     }
     
     /**
-     * 行動タイプと日数に基づいてイベントを選択する（要件3.1, 3.4）
+     * 読み込みに成功したイベントパックの一覧を取得する
+     * @returns {Array<Object>} パック情報（id, name, path, event_count）の配列
+     */
+    getActivePacks() {
+        return [...this.activePacks];
+    }
+    
+    /**
+     * パックごとの読み込みエラーを取得する
+     * @returns {Array<Object>} エラー情報（id, path, message）の配列
+     */
+    getPackErrors() {
+        return [...this.packErrors];
+    }
+    
+    /**
+     * 読み込んだイベントデータを検証し、問題をコンソールに報告する
+     * 統合前のパックごとに検証するため、同じパック内のidの重複・idのないイベントも検出できる
+     * schedule の参照先と行動タイプごとの通常イベントの有無は統合後のイベントで確認する
+     * @param {Object} validationOptions - 検証設定（max_days）
+     * @param {Array<Object>} packs - パックごとのイベント { id, events }（省略時は読み込み済みのイベント全体）
+     * @returns {{errors: Array<string>, warnings: Array<string>}} 検証結果
+     */
+    reportValidation(validationOptions = {}, packs = [{ id: null, events: this.events }]) {
+        const knownIds = this.events.map(event => event.id);
+        this.validationResult = { errors: [], warnings: checkActionCoverage(this.events) };
+        packs.forEach(pack => {
+            const result = validateEvents(pack.events, { ...validationOptions, known_ids: knownIds, check_coverage: false });
+            const prefix = pack.id ? `${pack.id}: ` : '';
+            this.validationResult.errors.push(...result.errors.map(message => prefix + message));
+            this.validationResult.warnings.push(...result.warnings.map(message => prefix + message));
+        });
+        
+        this.validationResult.errors.forEach(message => console.error('イベントデータのエラー:', message));
+        this.validationResult.warnings.forEach(message => console.warn('イベントデータの警告:', message));
+        
+        return this.validationResult;
+    }
+    
+    /**
+     * 行動タイプとゲーム状態に基づいてイベントを選択する（要件3.1, 3.4）
+     * 発生条件（conditions）を満たすイベントのみを重み付き選択の対象にする
      * @param {string} type - 行動タイプ（'play', 'work', 'none'）
-     * @param {number} day - 現在の日数
+     * @param {Object} state - GameState.getState()で取得したゲーム状態
      * @returns {Object|null} 選択されたイベント
      */
-    pickEvent(type, day) {
+    pickEvent(type, state) {
         if (!this.isLoaded) {
             console.warn('イベントデータが読み込まれていません');
             return null;
         }
         
-        // 指定タイプのイベントを抽出
-        const typeEvents = this.events.filter(event => event.type === type);
+        // 予約イベントを通常の選択より優先する
+        const scheduledEvent = this.takeScheduledEvent(type, state);
+        if (scheduledEvent) {
+            return scheduledEvent;
+        }
         
-        if (typeEvents.length === 0) {
-            console.warn(`タイプ "${type}" のイベントが見つかりません`);
+        const candidates = this.getCandidateEvents(type, state);
+        if (candidates.length === 0) {
+            console.warn(`タイプ "${type}" の発生可能なイベントが見つかりません`);
             return null;
         }
         
+        return this.selectWeightedRandom(candidates, state);
+    }
+    
+    /**
+     * 重み付き選択の対象となるイベントを抽出する（内部メソッド）
+     * 発生条件を満たすイベントのうち、その日の特定日イベントがあればそれを優先する
+     * @param {string} type - 行動タイプ
+     * @param {Object} state - ゲーム状態
+     * @returns {Array<Object>} 選択対象のイベント
+     */
+    getCandidateEvents(type, state) {
+        // 指定タイプのイベントのうち、発生条件を満たすものを抽出
+        const typeEvents = this.events.filter(event => 
+            event.type === type && this.checkConditions(event, state)
+        );
+        
         // 特定日イベントがあるかチェック
+        // 時間帯制でも1日1回のみ（その日に発生済みのものは除く。時間帯は発生条件 time_slots で限定できる）
+        const history = state.event_history || {};
         const daySpecificEvents = typeEvents.filter(event => 
-            event.day_specific && event.day_specific === day
+            event.day_specific && event.day_specific === state.day &&
+            !(history[event.id] && history[event.id].last_day === state.day)
         );
         
         if (daySpecificEvents.length > 0) {
             // 特定日イベントを優先選択
-            return this.selectWeightedRandom(daySpecificEvents);
+            return daySpecificEvents;
+        }
+        
+        // 通常イベント
+        return typeEvents.filter(event => !event.day_specific);
+    }
+    
+    /**
+     * 発生時期になった予約イベントを取り出す（内部メソッド）
+     * 発生条件を満たさなくなった予約は破棄する
+     * @param {string} type - 行動タイプ
+     * @param {Object} state - ゲーム状態
+     * @returns {Object|null} 予約されていたイベント
+     */
+    takeScheduledEvent(type, state) {
+        const dueEntries = this.scheduledEvents
+            .filter(entry => (entry.day === null || state.day >= entry.day) && (entry.type === null || entry.type === type))
+            .sort((a, b) => (a.day || 0) - (b.day || 0));
+        
+        for (const entry of dueEntries) {
+            this.scheduledEvents.splice(this.scheduledEvents.indexOf(entry), 1);
+            
+            const event = this.events.find(candidate => candidate.id === entry.event_id);
+            if (!event) {
+                console.warn(`予約イベント "${entry.event_id}" が見つかりません`);
+                continue;
+            }
+            if (!this.checkConditions(event, state)) {
+                console.log(`予約イベント "${entry.event_id}" は発生条件を満たさないため破棄しました`);
+                continue;
+            }
+            
+            console.log(`予約イベント "${entry.event_id}" が発生しました`);
+            return event;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * イベントを予約する
+     * @param {string} eventId - 予約するイベントのID
+     * @param {Object} options - 予約条件
+     * @param {number|null} options.day - この日以降に発生（nullの場合は日付指定なし）
+     * @param {string|null} options.type - この行動タイプが選ばれたときに発生（nullの場合はその日の行動に関わらず発生）
+     */
+    scheduleEvent(eventId, { day = null, type = null } = {}) {
+        this.scheduledEvents.push({ event_id: eventId, day: day, type: type });
+        console.log(`イベント "${eventId}" を予約しました:`, { day, type });
+    }
+    
+    /**
+     * イベント（または選択肢の分岐）に宣言された後続イベントを予約する
+     * schedule: [{ event_id, days_later }, { event_id, day }, { event_id, next_type }]
+     * @param {Object} source - scheduleを持つイベントまたは選択肢
+     * @param {number} currentDay - 現在の日数
+     */
+    scheduleFollowUps(source, currentDay) {
+        (source.schedule || []).forEach(followUp => {
+            let day = null;
+            if (followUp.day !== undefined) {
+                day = followUp.day;
+            } else if (followUp.days_later !== undefined) {
+                day = currentDay + followUp.days_later;
+            }
+            
+            this.scheduleEvent(followUp.event_id, { day: day, type: followUp.next_type || null });
+        });
+    }
+    
+    /**
+     * 予約イベントの一覧を取得する（セーブデータ用）
+     * @returns {Array<Object>} 予約イベントの配列
+     */
+    getScheduledEvents() {
+        return this.scheduledEvents.map(entry => ({ ...entry }));
+    }
+    
+    /**
+     * 予約イベントの一覧を設定する（新規ゲーム・セーブデータ復元用）
+     * @param {Array<Object>} scheduledEvents - 予約イベントの配列
+     */
+    setScheduledEvents(scheduledEvents = []) {
+        this.scheduledEvents = scheduledEvents.map(entry => ({
+            event_id: entry.event_id,
+            day: entry.day === undefined ? null : entry.day,
+            type: entry.type === undefined ? null : entry.type
+        }));
+    }
+    
+    /**
+     * イベントの発生条件をゲーム状態に対して評価する
+     * conditionsが未定義のイベントは常に発生可能
+     * @param {Object} event - イベントオブジェクト
+     * @param {Object} state - ゲーム状態
+     * @returns {boolean} 発生可能かどうか
+     */
+    checkConditions(event, state) {
+        const conditions = event.conditions;
+        if (!conditions) {
+            return true;
+        }
+        
+        // 好感度・所持金・体力・日数の範囲
+        if (conditions.min_affection !== undefined && state.affection < conditions.min_affection) return false;
+        if (conditions.max_affection !== undefined && state.affection > conditions.max_affection) return false;
+        if (conditions.min_money !== undefined && state.money < conditions.min_money) return false;
+        if (conditions.max_money !== undefined && state.money > conditions.max_money) return false;
+        if (conditions.min_stamina !== undefined && state.stamina < conditions.min_stamina) return false;
+        if (conditions.max_stamina !== undefined && state.stamina > conditions.max_stamina) return false;
+        if (conditions.day_from !== undefined && state.day < conditions.day_from) return false;
+        if (conditions.day_to !== undefined && state.day > conditions.day_to) return false;
+        
+        // 疲労状態（GameState.isExhausted() と同じく体力が low_stamina_threshold 未満）
+        if (conditions.exhausted !== undefined) {
+            const threshold = (state.config || {}).low_stamina_threshold;
+            const exhausted = threshold !== undefined && state.stamina < threshold;
+            if (exhausted !== conditions.exhausted) return false;
+        }
+        
+        // 必須フラグ・禁止フラグ
+        const flags = state.flags || {};
+        if (conditions.required_flags && !conditions.required_flags.every(flag => flags[flag])) return false;
+        if (conditions.forbidden_flags && conditions.forbidden_flags.some(flag => flags[flag])) return false;
+        
+        // ストーリー変数の範囲（例: { "gift_count": { "min": 2 } }）
+        if (conditions.counters) {
+            const counters = state.counters || {};
+            const inRange = Object.entries(conditions.counters).every(([name, range]) => {
+                const value = counters[name] || 0;
+                return (range.min === undefined || value >= range.min) &&
+                    (range.max === undefined || value <= range.max);
+            });
+            if (!inRange) return false;
         }
         
-        // 通常イベントから重み付き選択
-        const normalEvents = typeEvents.filter(event => !event.day_specific);
-        return this.selectWeightedRandom(normalEvents);
+        // カレンダー（曜日・季節・祝日・誕生日）
+        const date = state.date;
+        if (date) {
+            if (conditions.weekdays && !conditions.weekdays.includes(date.weekday_name)) return false;
+            if (conditions.seasons && !conditions.seasons.includes(date.season)) return false;
+            if (conditions.holiday !== undefined && date.is_holiday !== conditions.holiday) return false;
+            if (conditions.special_days &&
+                !conditions.special_days.some(id => date.holidays.includes(id) || date.birthdays.includes(id))) return false;
+        }
+        
+        // 時間帯（時間帯制でない場合は制限しない）
+        if (conditions.time_slots && state.time_slot && !conditions.time_slots.includes(state.time_slot)) return false;
+        
+        // 発生履歴（一度きり・クールダウン）
+        const history = (state.event_history || {})[event.id];
+        if (history) {
+            if (conditions.once && history.count > 0) return false;
+            if (conditions.cooldown_days && state.day - history.last_day < conditions.cooldown_days) return false;
+        }
+        
+        return true;
     }    
     
 /**
      * 重み付きランダム選択を実行する
+     * 各イベントの重みは calculateWeight() でゲーム状態に応じて補正する
      * @param {Array} events - 選択対象のイベント配列
+     * @param {Object|null} state - ゲーム状態（省略時は重み補正のうち状態に依存しないもののみ適用）
      * @returns {Object|null} 選択されたイベント
      */
-    selectWeightedRandom(events) {
+    selectWeightedRandom(events, state = null) {
         if (events.length === 0) {
             return null;
         }
         
-        // 「遊ぶ」イベントの場合、特別な会話イベントの確率を20%上げる（要件3.4）
-        let adjustedEvents = events;
-        if (events.length > 0 && events[0].type === 'play') {
-            adjustedEvents = events.map(event => ({
-                ...event,
-                weight: event.special ? event.weight * 1.2 : event.weight
-            }));
-        }
+        const weights = events.map(event => this.calculateWeight(event, state));
         
         // 重みの合計を計算
-        const totalWeight = adjustedEvents.reduce((sum, event) => sum + event.weight, 0);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
         
-        if (totalWeight <= 0) {
-            // 重みがない場合は均等選択
-            return events[Math.floor(Math.random() * events.length)];
+        if (!(totalWeight > 0)) {
+            // 重みがない場合（NaNを含む）は均等選択
+            return events[Math.floor(this.random.next() * events.length)];
         }
         
         // 重み付きランダム選択
-        let randomValue = Math.random() * totalWeight;
+        let randomValue = this.random.next() * totalWeight;
         
-        for (const event of adjustedEvents) {
-            randomValue -= event.weight;
+        for (let i = 0; i < events.length; i++) {
+            randomValue -= weights[i];
             if (randomValue <= 0) {
-                return event;
+                return events[i];
             }
         }
         
         // フォールバック（通常は到達しない）
-        return adjustedEvents[adjustedEvents.length - 1];
+        return events[events.length - 1];
+    }
+    
+    /**
+     * ゲーム状態に応じて補正したイベントの重みを計算する
+     * weight_modifiers の各補正を順に適用する
+     *   when: 条件式（conditionExpression.js の構文）。省略時は常に適用
+     *   multiply: 重みの倍率
+     *   seen_decay: 発生済み回数ごとの倍率（0.5なら1回発生するたびに半分）
+     * 配列でない weight_modifiers、オブジェクトでない補正、0以上の有限の数値でない倍率は無視する（検証でエラーになる）
+     * @param {Object} event - イベントオブジェクト
+     * @param {Object|null} state - ゲーム状態
+     * @returns {number} 補正後の重み（0以上の有限の数値）
+     */
+    calculateWeight(event, state = null) {
+        let weight = this.getBaseWeight(event);
+        
+        // 「遊ぶ」イベントの場合、特別な会話イベントの確率を20%上げる（要件3.4）
+        if (event.type === 'play' && event.special) {
+            weight *= 1.2;
+        }
+        
+        if (!Array.isArray(event.weight_modifiers) || !state) {
+            return weight;
+        }
+        
+        const context = this.createWeightContext(event, state);
+        for (const modifier of event.weight_modifiers) {
+            if (!modifier || typeof modifier !== 'object') {
+                continue;
+            }
+            if (modifier.when !== undefined) {
+                try {
+                    if (!evaluateCondition(modifier.when, context)) {
+                        continue;
+                    }
+                } catch (error) {
+                    console.error(`イベント "${event.id}" の重み補正の条件式が不正です:`, error);
+                    continue;
+                }
+            }
+            
+            if (isValidFactor(modifier.multiply)) {
+                weight *= modifier.multiply;
+            }
+            if (isValidFactor(modifier.seen_decay)) {
+                weight *= Math.pow(modifier.seen_decay, context.seen);
+            }
+        }
+        
+        return Number.isFinite(weight) && weight > 0 ? weight : 0;
+    }
+    
+    /**
+     * イベントの補正前の重みを取得する（内部メソッド）
+     * 数値でない・0以下の重み（検証でエラーになるもの）は0として扱い、選択の対象から外す
+     * @param {Object} event - イベントオブジェクト
+     * @returns {number} 重み
+     */
+    getBaseWeight(event) {
+        return typeof event.weight === 'number' && Number.isFinite(event.weight) && event.weight > 0 ? event.weight : 0;
+    }
+    
+    /**
+     * 重み補正の条件式から参照できる値を作成する（内部メソッド）
+     * ゲーム状態に加えて、このイベントの発生回数（seen）と残り日数（days_left）を参照できる
+     * @param {Object} event - イベントオブジェクト
+     * @param {Object} state - ゲーム状態
+     * @returns {Object} 条件式の参照先
+     */
+    createWeightContext(event, state) {
+        const config = state.config || {};
+        const history = (state.event_history || {})[event.id];
+        
+        return {
+            ...state,
+            flags: state.flags || {},
+            counters: state.counters || {},
+            config: config,
+            seen: history ? history.count : 0,
+            days_left: (config.max_days || 0) - state.day
+        };
+    }
+    
+    /**
+     * 指定した状態での重みの一覧を取得する（デバッグ用）
+     * pickEvent() と同じ対象イベントについて、補正前後の重みと選ばれる確率を返す（予約イベントは含まない）
+     * 重みは selectWeightedRandom() と同じく calculateWeight() の値を使い、不正な重みは0になる
+     * @param {string} type - 行動タイプ
+     * @param {Object} state - ゲーム状態
+     * @returns {Array<Object>} 重みの一覧（id, base_weight, weight, probability）
+     */
+    getWeightTable(type, state) {
+        const candidates = this.getCandidateEvents(type, state);
+        const weights = candidates.map(event => this.calculateWeight(event, state));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        
+        return candidates.map((event, index) => ({
+            id: event.id,
+            base_weight: this.getBaseWeight(event),
+            weight: weights[index],
+            probability: totalWeight > 0 ? weights[index] / totalWeight : 1 / candidates.length
+        }));
     }
     
     /**
@@ -119,7 +537,7 @@ export class EventSystem {
      */
     calculateEventEffects(event) {
         if (!event) {
-            return { affection_delta: 0, money_delta: 0 };
+            return { affection_delta: 0, money_delta: 0, stamina_delta: 0, set_flags: {}, clear_flags: [], set_counters: {}, increment_counters: {} };
         }
         
         return {
@@ -132,10 +550,39 @@ export class EventSystem {
                 event.money_delta || 0,
                 event.money_min || event.money_delta || 0,
                 event.money_max || event.money_delta || 0
-            )
+            ),
+            stamina_delta: event.stamina_delta || 0,
+            set_flags: { ...(event.set_flags || {}) },
+            clear_flags: [...(event.clear_flags || [])],
+            set_counters: { ...(event.set_counters || {}) },
+            increment_counters: { ...(event.increment_counters || {}) }
         };
     }
     
+    /**
+     * 複数の効果を合算する（イベント本体と選択肢の分岐など）
+     * @param {...Object} effectsList - calculateEventEffects()で計算した効果
+     * @returns {Object} 合算された効果
+     */
+    combineEffects(...effectsList) {
+        return effectsList.reduce((combined, effects) => {
+            const incrementCounters = { ...combined.increment_counters };
+            Object.entries(effects.increment_counters || {}).forEach(([name, amount]) => {
+                incrementCounters[name] = (incrementCounters[name] || 0) + amount;
+            });
+            
+            return {
+                affection_delta: combined.affection_delta + (effects.affection_delta || 0),
+                money_delta: combined.money_delta + (effects.money_delta || 0),
+                stamina_delta: combined.stamina_delta + (effects.stamina_delta || 0),
+                set_flags: { ...combined.set_flags, ...(effects.set_flags || {}) },
+                clear_flags: [...combined.clear_flags, ...(effects.clear_flags || [])],
+                set_counters: { ...combined.set_counters, ...(effects.set_counters || {}) },
+                increment_counters: incrementCounters
+            };
+        }, this.calculateEventEffects(null));
+    }
+    
     /**
      * 基準値から最小値・最大値の範囲でランダムな値を生成する
      * @param {number} base - 基準値
@@ -151,7 +598,7 @@ export class EventSystem {
         const actualMin = Math.min(min, max);
         const actualMax = Math.max(min, max);
         
-        return Math.floor(Math.random() * (actualMax - actualMin + 1)) + actualMin;
+        return this.random.nextInt(actualMin, actualMax);
     }    
 
     /**
@@ -168,7 +615,10 @@ export class EventSystem {
                 text: ["しすと一緒に映画を見ました。", "楽しい時間を過ごせました。"],
                 affection_delta: 5,
                 money_delta: 0,
-                special: false
+                special: false,
+                translations: {
+                    en: { text: ["You watched a movie together with Shisu.", "You had a fun time."] }
+                }
             },
             {
                 id: "play_fallback_2",
@@ -177,7 +627,10 @@ export class EventSystem {
                 text: ["しすと散歩に出かけました。", "いい気分転換になりました。"],
                 affection_delta: 4,
                 money_delta: 0,
-                special: true
+                special: true,
+                translations: {
+                    en: { text: ["You went for a walk with Shisu.", "It was a nice change of pace."] }
+                }
             },
             
             // 仕事イベント
@@ -188,7 +641,10 @@ export class EventSystem {
                 text: ["今日も一日お疲れさまでした。", "しっかりと稼ぐことができました。"],
                 affection_delta: 0,
                 money_delta: 5000,
-                special: false
+                special: false,
+                translations: {
+                    en: { text: ["Another day of hard work is done.", "You earned a solid income."] }
+                }
             },
             {
                 id: "work_fallback_2",
@@ -197,7 +653,38 @@ export class EventSystem {
                 text: ["残業をしました。", "少し疲れましたが、収入は良好です。"],
                 affection_delta: -1,
                 money_delta: 6000,
-                special: false
+                special: false,
+                translations: {
+                    en: { text: ["You worked overtime.", "You are a little tired, but the pay was good."] }
+                }
+            },
+            
+            // 疲労時のイベント（体力が low_stamina_threshold 未満）
+            {
+                id: "play_exhausted",
+                type: "play",
+                weight: 8,
+                text: ["疲れてうとうとしてしまい、しすに心配されました。", "「無理しないでね」"],
+                affection_delta: 0,
+                money_delta: 0,
+                special: false,
+                conditions: { exhausted: true },
+                translations: {
+                    en: { text: ["You were so tired you kept dozing off, and Shisu got worried.", "\"Don't push yourself too hard.\""] }
+                }
+            },
+            {
+                id: "work_exhausted",
+                type: "work",
+                weight: 8,
+                text: ["疲れが溜まっていて、仕事に集中できませんでした。", "今日は早めに休んだほうがよさそうです。"],
+                affection_delta: 0,
+                money_delta: 0,
+                special: false,
+                conditions: { exhausted: true },
+                translations: {
+                    en: { text: ["You were too worn out to focus on work.", "You should get some rest soon."] }
+                }
             },
             
             // 何もしないイベント
@@ -208,7 +695,10 @@ export class EventSystem {
                 text: ["今日は何もせずに過ごしました。", "のんびりとした一日でした。"],
                 affection_delta: 0,
                 money_delta: 0,
-                special: false
+                special: false,
+                translations: {
+                    en: { text: ["You spent the day doing nothing.", "It was a relaxing day."] }
+                }
             },
             {
                 id: "none_fallback_2",
@@ -217,7 +707,10 @@ export class EventSystem {
                 text: ["ぼーっと時間を過ごしました。", "特に何も起こりませんでした。"],
                 affection_delta: -1,
                 money_delta: 0,
-                special: false
+                special: false,
+                translations: {
+                    en: { text: ["You let the time drift by.", "Nothing in particular happened."] }
+                }
             }
         ];
     }
@@ -250,4 +743,13 @@ export class EventSystem {
     isReady() {
         return this.isLoaded && this.events.length > 0;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * 重み補正の倍率として使える値か確認する（内部関数）
+ * @param {*} value - 倍率
+ * @returns {boolean} 0以上の有限の数値かどうか
+ */
+function isValidFactor(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
@@ -0,0 +1,389 @@
+import { findTemplateProblems } from './textTemplate.js';
+import { parseExpression } from './conditionExpression.js';
+import { WEEKDAYS } from './calendar.js';
+
+/**
+ * イベントデータ（events.json）の検証
+ * EventSystem.loadEvents() と tools/validateEvents.mjs の両方から使用する
+ */
+
+// 行動タイプ
+export const ACTION_TYPES = ['play', 'work', 'none'];
+
+// 発生条件（conditions）で使用できるキー
+const CONDITION_KEYS = [
+    'min_affection', 'max_affection', 'min_money', 'max_money', 'min_stamina', 'max_stamina', 'day_from', 'day_to',
+    'required_flags', 'forbidden_flags', 'counters', 'once', 'cooldown_days', 'exhausted',
+    'weekdays', 'seasons', 'holiday', 'special_days', 'time_slots'
+];
+
+// 季節
+const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+// 重み補正（weight_modifiers）で使用できるキー
+const WEIGHT_MODIFIER_KEYS = ['when', 'multiply', 'seen_decay'];
+
+// 数値である必要があるフィールド
+const NUMERIC_FIELDS = ['affection_delta', 'affection_min', 'affection_max', 'money_delta', 'money_min', 'money_max', 'stamina_delta'];
+
+/**
+ * イベントデータを検証する
+ * @param {Array<Object>} events - イベントデータの配列
+ * @param {Object} options - 検証設定
+ * @param {number} options.max_days - 最大日数（day_specificの範囲チェック用）
+ * @param {Iterable<string>} options.known_ids - schedule で参照できるイベントID（省略時は events 自身のid。複数パックの統合結果を渡す）
+ * @param {boolean} options.check_coverage - 行動タイプごとに通常イベントがあるか確認するか（既定はtrue）
+ * @returns {{errors: Array<string>, warnings: Array<string>}} 検出された問題
+ */
+export function validateEvents(events, options = {}) {
+    const maxDays = options.max_days || 30;
+    const errors = [];
+    const warnings = [];
+
+    if (!Array.isArray(events)) {
+        errors.push('events が配列ではありません');
+        return { errors, warnings };
+    }
+
+    const ids = new Set();
+    const duplicatedIds = new Set();
+    events.forEach(event => {
+        if (event && typeof event.id === 'string') {
+            if (ids.has(event.id)) {
+                duplicatedIds.add(event.id);
+            }
+            ids.add(event.id);
+        }
+    });
+    duplicatedIds.forEach(id => errors.push(`[${id}] id が重複しています`));
+    const referableIds = options.known_ids ? new Set(options.known_ids) : ids;
+
+    events.forEach((event, index) => {
+        const label = event && event.id ? event.id : `#${index}`;
+        const report = (message) => errors.push(`[${label}] ${message}`);
+
+        if (!event || typeof event !== 'object') {
+            report('イベントがオブジェクトではありません');
+            return;
+        }
+
+        // 必須フィールド
+        if (typeof event.id !== 'string' || event.id === '') {
+            report('id がありません');
+        }
+        if (event.disabled) {
+            // 前のパックのイベントを無効化するだけのエントリはidのみ必要
+            return;
+        }
+        if (!ACTION_TYPES.includes(event.type)) {
+            report(`type "${event.type}" は不明な行動タイプです（${ACTION_TYPES.join(' / ')}）`);
+        }
+        validateTextLines(event.text, 'text', report);
+
+        if (typeof event.weight !== 'number' || Number.isNaN(event.weight)) {
+            report('weight が数値ではありません');
+        } else if (event.weight <= 0) {
+            report(`weight が0以下です（${event.weight}）`);
+        }
+
+        if (event.day_specific !== undefined &&
+            (!Number.isInteger(event.day_specific) || event.day_specific < 1 || event.day_specific > maxDays)) {
+            report(`day_specific（${event.day_specific}）が1〜${maxDays}の範囲外です`);
+        }
+
+        validateEffects(event, report);
+        validateConditions(event.conditions, report);
+        validateSchedule(event.schedule, referableIds, report);
+        validateTranslations(event.translations, report);
+        validateWeightModifiers(event.weight_modifiers, report);
+
+        // 選択肢
+        if (event.choices !== undefined) {
+            if (!Array.isArray(event.choices) || event.choices.length < 2 || event.choices.length > 4) {
+                report('choices は2〜4個の配列である必要があります');
+            } else {
+                event.choices.forEach((choice, choiceIndex) => {
+                    const choiceReport = (message) => report(`choices[${choiceIndex}]: ${message}`);
+                    if (!isPlainObject(choice)) {
+                        choiceReport('オブジェクトである必要があります');
+                        return;
+                    }
+                    if (typeof choice.text !== 'string' || choice.text === '') {
+                        choiceReport('text がありません');
+                    } else {
+                        validateTemplate(choice.text, 'text', choiceReport);
+                    }
+                    if (choice.response !== undefined) {
+                        validateTextLines(choice.response, 'response', choiceReport);
+                    }
+                    validateEffects(choice, choiceReport);
+                    validateSchedule(choice.schedule, referableIds, choiceReport);
+                });
+            }
+        }
+    });
+
+    if (options.check_coverage !== false) {
+        warnings.push(...checkActionCoverage(events));
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * 特定日以外に発生するイベントがない行動タイプを確認する
+ * 複数パックを統合する場合は、統合後のイベントに対して呼び出す
+ * @param {Array<Object>} events - イベントデータの配列
+ * @returns {Array<string>} 警告
+ */
+export function checkActionCoverage(events) {
+    return ACTION_TYPES
+        .filter(type => !events.some(event => event && !event.disabled && event.type === type && !event.day_specific))
+        .map(type => `行動タイプ "${type}" に特定日以外のイベントがありません`);
+}
+
+/**
+ * テキスト行の配列を検証する（内部関数）
+ * @param {*} lines - 検証対象
+ * @param {string} field - フィールド名
+ * @param {Function} report - 問題の報告関数
+ */
+function validateTextLines(lines, field, report) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        report(`${field} は1行以上の文字列の配列である必要があります`);
+    } else if (lines.some(line => typeof line !== 'string')) {
+        report(`${field} に文字列以外の要素があります`);
+    } else {
+        lines.forEach((line, index) => validateTemplate(line, `${field}[${index}]`, report));
+    }
+}
+
+/**
+ * テキストのプレースホルダー・条件分岐を検証する（内部関数）
+ * @param {string} text - テキスト
+ * @param {string} field - フィールド名
+ * @param {Function} report - 問題の報告関数
+ */
+function validateTemplate(text, field, report) {
+    findTemplateProblems(text).forEach(problem => report(`${field}: ${problem}`));
+}
+
+/**
+ * 重み補正を検証する（内部関数）
+ * @param {Array|undefined} modifiers - 重み補正の配列
+ * @param {Function} report - 問題の報告関数
+ */
+function validateWeightModifiers(modifiers, report) {
+    if (modifiers === undefined) {
+        return;
+    }
+    if (!Array.isArray(modifiers)) {
+        report('weight_modifiers は配列である必要があります');
+        return;
+    }
+
+    modifiers.forEach((modifier, index) => {
+        const modifierReport = (message) => report(`weight_modifiers[${index}]: ${message}`);
+        if (!modifier || typeof modifier !== 'object') {
+            modifierReport('オブジェクトである必要があります');
+            return;
+        }
+
+        Object.keys(modifier).forEach(key => {
+            if (!WEIGHT_MODIFIER_KEYS.includes(key)) {
+                modifierReport(`${key} は不明なキーです`);
+            }
+        });
+        if (modifier.multiply === undefined && modifier.seen_decay === undefined) {
+            modifierReport('multiply または seen_decay が必要です');
+        }
+        ['multiply', 'seen_decay'].forEach(field => {
+            if (modifier[field] !== undefined && (typeof modifier[field] !== 'number' || modifier[field] < 0)) {
+                modifierReport(`${field} は0以上の数値である必要があります`);
+            }
+        });
+        if (modifier.when !== undefined) {
+            try {
+                parseExpression(modifier.when);
+            } catch (error) {
+                modifierReport(error.message);
+            }
+        }
+    });
+}
+
+/**
+ * 言語別の本文（translations）を検証する（内部関数）
+ * @param {Object|undefined} translations - 言語ID → 翻訳（text, choices）
+ * @param {Function} report - 問題の報告関数
+ */
+function validateTranslations(translations, report) {
+    if (translations === undefined) {
+        return;
+    }
+    if (typeof translations !== 'object' || Array.isArray(translations)) {
+        report('translations はオブジェクトである必要があります');
+        return;
+    }
+
+    Object.entries(translations).forEach(([locale, translation]) => {
+        const translationReport = (message) => report(`translations.${locale}: ${message}`);
+        if (!isPlainObject(translation)) {
+            translationReport('オブジェクトである必要があります');
+            return;
+        }
+        if (translation.choices !== undefined && !Array.isArray(translation.choices)) {
+            translationReport('choices は配列である必要があります');
+            return;
+        }
+        if (translation.text !== undefined) {
+            validateTextLines(translation.text, 'text', translationReport);
+        }
+        (translation.choices || []).forEach((choice, choiceIndex) => {
+            if (!isPlainObject(choice)) {
+                translationReport(`choices[${choiceIndex}] はオブジェクトである必要があります`);
+                return;
+            }
+            if (choice.text !== undefined) {
+                validateTemplate(choice.text, `choices[${choiceIndex}].text`, translationReport);
+            }
+            if (choice.response !== undefined) {
+                validateTextLines(choice.response, `choices[${choiceIndex}].response`, translationReport);
+            }
+        });
+    });
+}
+
+/**
+ * 効果（増減値・フラグ操作）を検証する（内部関数）
+ * @param {Object} source - イベントまたは選択肢
+ * @param {Function} report - 問題の報告関数
+ */
+function validateEffects(source, report) {
+    NUMERIC_FIELDS.forEach(field => {
+        if (source[field] !== undefined && typeof source[field] !== 'number') {
+            report(`${field} が数値ではありません`);
+        }
+    });
+
+    checkRange(source.affection_min, source.affection_max, 'affection_min', 'affection_max', report);
+    checkRange(source.money_min, source.money_max, 'money_min', 'money_max', report);
+
+    ['set_flags', 'set_counters', 'increment_counters'].forEach(field => {
+        if (source[field] !== undefined && (typeof source[field] !== 'object' || Array.isArray(source[field]))) {
+            report(`${field} はオブジェクトである必要があります`);
+        }
+    });
+    if (source.clear_flags !== undefined && !Array.isArray(source.clear_flags)) {
+        report('clear_flags は配列である必要があります');
+    }
+}
+
+/**
+ * 発生条件を検証する（内部関数）
+ * @param {Object|undefined} conditions - 発生条件
+ * @param {Function} report - 問題の報告関数
+ */
+function validateConditions(conditions, report) {
+    if (conditions === undefined) {
+        return;
+    }
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+        report('conditions はオブジェクトである必要があります');
+        return;
+    }
+
+    Object.keys(conditions).forEach(key => {
+        if (!CONDITION_KEYS.includes(key)) {
+            report(`conditions.${key} は不明な条件です`);
+        }
+    });
+
+    checkRange(conditions.min_affection, conditions.max_affection, 'conditions.min_affection', 'conditions.max_affection', report);
+    checkRange(conditions.min_money, conditions.max_money, 'conditions.min_money', 'conditions.max_money', report);
+    checkRange(conditions.min_stamina, conditions.max_stamina, 'conditions.min_stamina', 'conditions.max_stamina', report);
+    checkRange(conditions.day_from, conditions.day_to, 'conditions.day_from', 'conditions.day_to', report);
+
+    ['required_flags', 'forbidden_flags', 'weekdays', 'seasons', 'special_days', 'time_slots'].forEach(field => {
+        if (conditions[field] !== undefined && !Array.isArray(conditions[field])) {
+            report(`conditions.${field} は配列である必要があります`);
+        }
+    });
+
+    [['weekdays', WEEKDAYS], ['seasons', SEASONS]].forEach(([field, names]) => {
+        if (Array.isArray(conditions[field])) {
+            conditions[field].filter(name => !names.includes(name)).forEach(name => {
+                report(`conditions.${field} の "${name}" は不明な値です（${names.join(' / ')}）`);
+            });
+        }
+    });
+    ['holiday', 'exhausted'].forEach(field => {
+        if (conditions[field] !== undefined && typeof conditions[field] !== 'boolean') {
+            report(`conditions.${field} は true / false である必要があります`);
+        }
+    });
+
+    if (conditions.counters !== undefined && !isPlainObject(conditions.counters)) {
+        report('conditions.counters はオブジェクトである必要があります');
+        return;
+    }
+    Object.entries(conditions.counters || {}).forEach(([name, range]) => {
+        if (!isPlainObject(range)) {
+            report(`conditions.counters.${name} はオブジェクトである必要があります`);
+            return;
+        }
+        checkRange(range.min, range.max, `conditions.counters.${name}.min`, `conditions.counters.${name}.max`, report);
+    });
+}
+
+/**
+ * 後続イベントの予約を検証する（内部関数）
+ * @param {Array|undefined} schedule - 予約の配列
+ * @param {Set<string>} ids - 存在するイベントIDの集合
+ * @param {Function} report - 問題の報告関数
+ */
+function validateSchedule(schedule, ids, report) {
+    if (schedule === undefined) {
+        return;
+    }
+    if (!Array.isArray(schedule)) {
+        report('schedule は配列である必要があります');
+        return;
+    }
+
+    schedule.forEach((followUp, index) => {
+        if (!isPlainObject(followUp)) {
+            report(`schedule[${index}] はオブジェクトである必要があります`);
+            return;
+        }
+        if (!ids.has(followUp.event_id)) {
+            report(`schedule の event_id "${followUp.event_id}" が存在しません`);
+        }
+        if (followUp.next_type !== undefined && !ACTION_TYPES.includes(followUp.next_type)) {
+            report(`schedule の next_type "${followUp.next_type}" は不明な行動タイプです`);
+        }
+    });
+}
+
+/**
+ * 最小値・最大値が逆転していないか確認する（内部関数）
+ * @param {number|undefined} min - 最小値
+ * @param {number|undefined} max - 最大値
+ * @param {string} minName - 最小値のフィールド名
+ * @param {string} maxName - 最大値のフィールド名
+ * @param {Function} report - 問題の報告関数
+ */
+function checkRange(min, max, minName, maxName, report) {
+    if (typeof min === 'number' && typeof max === 'number' && min > max) {
+        report(`${minName}（${min}）が ${maxName}（${max}）より大きくなっています`);
+    }
+}
+
+/**
+ * null・配列でないオブジェクトか確認する（内部関数）
+ * @param {*} value - 確認する値
+ * @returns {boolean} オブジェクトかどうか
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,94 @@
+/**
+ * ゲーム進行の状態機械
+ * タイトル → 日（時間帯）の開始 → 行動選択 → イベント再生 → 日の終了 → … → エンディング の順に進行を管理する
+ * 定義されていない遷移は拒否するため、ボタンの二重クリックなどで同じ処理が二度実行されることを防ぐ
+ */
+
+// 進行状態
+export const FLOW_STATES = {
+    TITLE: 'title',                 // タイトル画面
+    DAY_START: 'dayStart',          // 日（時間帯）の開始（エンディング判定・開始メッセージ）
+    CHOOSING: 'choosing',           // 行動選択中（セーブ・ロード・ショップも可能）
+    EVENT_PLAYING: 'eventPlaying',  // 行動のイベント再生中
+    DAY_END: 'dayEnd',              // 1日の終了（日数を進める）
+    ENDING: 'ending'                // エンディング表示中
+};
+
+// 状態 → 遷移できる状態
+const TRANSITIONS = {
+    [FLOW_STATES.TITLE]: [FLOW_STATES.DAY_START],
+    [FLOW_STATES.DAY_START]: [FLOW_STATES.CHOOSING, FLOW_STATES.ENDING],
+    // 行動選択中のロードは、その日（時間帯）の開始からやり直す
+    [FLOW_STATES.CHOOSING]: [FLOW_STATES.EVENT_PLAYING, FLOW_STATES.DAY_START],
+    // 時間帯制では、最後の時間帯以外は日の終了を経ずに次の時間帯を開始する
+    [FLOW_STATES.EVENT_PLAYING]: [FLOW_STATES.DAY_END, FLOW_STATES.DAY_START],
+    [FLOW_STATES.DAY_END]: [FLOW_STATES.DAY_START],
+    [FLOW_STATES.ENDING]: [FLOW_STATES.TITLE]
+};
+
+// 保持する遷移履歴の件数
+const HISTORY_LIMIT = 50;
+
+export class GameFlow {
+    constructor() {
+        this.state = FLOW_STATES.TITLE;
+        this.history = [];    // { from, to, reason, timestamp } の配列（新しいものが末尾）
+    }
+
+    /**
+     * 現在の状態を取得する
+     * @returns {string} 状態（FLOW_STATES）
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * 現在の状態が指定した状態のいずれかか確認する
+     * @param {...string} states - 状態
+     * @returns {boolean} いずれかの状態かどうか
+     */
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    /**
+     * 指定した状態に遷移できるか確認する
+     * @param {string} to - 遷移先の状態
+     * @returns {boolean} 遷移できるかどうか
+     */
+    canTransition(to) {
+        return (TRANSITIONS[this.state] || []).includes(to);
+    }
+
+    /**
+     * 状態を遷移する
+     * 定義されていない遷移（二重クリックによる二度目の呼び出しなど）は警告を出して拒否する
+     * @param {string} to - 遷移先の状態
+     * @param {string} reason - 遷移の理由（ログ用）
+     * @returns {boolean} 遷移したかどうか
+     */
+    transition(to, reason = '') {
+        const from = this.state;
+        if (!this.canTransition(to)) {
+            console.warn(`ゲーム進行: ${from} → ${to} は遷移できません${reason ? `（${reason}）` : ''}`);
+            return false;
+        }
+
+        this.state = to;
+        this.history.push({ from, to, reason, timestamp: Date.now() });
+        if (this.history.length > HISTORY_LIMIT) {
+            this.history.shift();
+        }
+        console.log(`ゲーム進行: ${from} → ${to}${reason ? `（${reason}）` : ''}`);
+        return true;
+    }
+
+    /**
+     * 遷移履歴を取得する（デバッグ用）
+     * @returns {Array<Object>} 遷移履歴（from, to, reason, timestamp）
+     */
+    getHistory() {
+        return [...this.history];
+    }
+}
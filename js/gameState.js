@@ -1,9 +1,34 @@
+import { SeededRandom } from './random.js';
+import { SAVE_VERSION, migrateState } from './saveMigrations.js';
+import { EndingSystem } from './endingSystem.js';
+import { Calendar } from './calendar.js';
+
+// GameState が通知する変更イベントの種類
+export const GAME_STATE_EVENTS = {
+    STAT_CHANGED: 'statChanged',       // ステータスの変化 { stat, old_value, new_value }
+    DAY_ADVANCED: 'dayAdvanced',       // 日数の経過 { old_day, day, date }
+    SLOT_ADVANCED: 'slotAdvanced',     // 時間帯の経過 { day, slot, time_slot }
+    ENDING_REACHED: 'endingReached',   // エンディング到達 { ending_id, state }
+    STATE_RESET: 'stateReset',         // reset()による初期化 { state }
+    STATE_RESTORED: 'stateRestored'    // setState()による復元 { state }
+};
+
+// STAT_CHANGED を通知するステータス
+const TRACKED_STATS = ['affection', 'money', 'stamina', 'consecutive_none'];
+
 /**
  * ゲーム状態管理クラス
  * プレイヤーの進行状況、好感度、所持金などを管理する
+ * 状態の変化は on() で登録したリスナーに GAME_STATE_EVENTS の種類ごとに通知する
  */
 export class GameState {
-    constructor(config = {}) {
+    /**
+     * @param {Object} config - ゲーム設定
+     * @param {SeededRandom} random - 乱数生成器（EventSystemと共有する）
+     * @param {EndingSystem} endingSystem - エンディング判定に使用するエンディング定義
+     * @param {Calendar} calendar - 日数を日付・曜日に対応付けるカレンダー
+     */
+    constructor(config = {}, random = new SeededRandom(), endingSystem = new EndingSystem(), calendar = new Calendar()) {
         // デフォルト設定
         this.config = Object.assign({
             goal_money: 100000,           // 目標金額
@@ -14,14 +39,124 @@ export class GameState {
             work_base_income: 5000,       // 仕事基本収入
             work_income_variation: 2000,  // 仕事収入変動幅
             play_affection_base: 5,       // 遊ぶ基本好感度
-            play_affection_variation: 3   // 遊ぶ好感度変動幅
+            play_affection_variation: 3,  // 遊ぶ好感度変動幅
+            player_name: 'あなた',        // プレイヤー名（テキストの {player_name}）
+            closed_weekdays: [0],         // 仕事が休みの曜日（0が日曜日）
+            time_slots: [],               // 1日の時間帯（例: ['morning', 'afternoon', 'night']、空の場合は1日1回の行動）
+            max_stamina: 100,             // 体力の最大値
+            initial_stamina: 100,         // 初期体力
+            work_stamina_cost: 25,        // 仕事で消費する体力
+            play_stamina_cost: 10,        // 遊ぶで消費する体力
+            none_stamina_recovery: 40,    // 何もしないで回復する体力
+            low_stamina_threshold: 30,    // この値未満で疲労状態
+            low_stamina_efficiency: 0.5   // 疲労状態での収入・好感度上昇の倍率
         }, config);
         
-        // ゲーム状態の初期化
+        this.baseConfig = { ...this.config }; // reset()で戻す設定
+        this.random = random;
+        this.endingSystem = endingSystem;
+        this.calendar = calendar;
+        this.listeners = {};           // イベントの種類 → リスナーの配列
+        this.statChangeDepth = 0;      // ステータス変更の入れ子の深さ（最も外側の変更の終わりでまとめて通知する）
+        
+        this.initializeState();
+    }
+    
+    /**
+     * ゲーム状態を初期値にする（内部メソッド）
+     */
+    initializeState() {
         this.day = 1;
+        this.slot = 0;                 // その日の時間帯の番号（0始まり）
         this.affection = this.config.initial_affection;
         this.money = 0;
-        this.consecutive_none = 0;
+        this.stamina = this.config.initial_stamina;
+        this.consecutive_none = 0;     // 連続で何もしなかった日数（時間帯制では時間帯数から換算）
+        this.consecutive_none_slots = 0; // 連続で何もしなかった行動の回数
+        this.event_history = {};       // イベントID → { count: 発生回数, last_day: 最後に発生した日 }
+        this.flags = {};               // ストーリーフラグ（フラグ名 → 値）
+        this.counters = {};            // ストーリー変数（変数名 → 数値）
+        this.purchases = {};           // 商品ID → 購入回数
+        this.reached_ending = null;    // 通知済みのエンディングID
+    }
+    
+    /**
+     * 新しいゲームのために状態と設定を初期値に戻す（リスナーと乱数生成器のインスタンスは維持する）
+     * @param {number|null} seed - 新しいシード値（省略時は新規生成）
+     */
+    reset(seed = null) {
+        this.config = { ...this.baseConfig };
+        this.random.setSeed(seed === null ? SeededRandom.generateSeed() : seed);
+        this.initializeState();
+        this.emit(GAME_STATE_EVENTS.STATE_RESET, { state: this.getState() });
+    }
+    
+    /**
+     * 変更イベントのリスナーを登録する
+     * @param {string} type - イベントの種類（GAME_STATE_EVENTS）
+     * @param {Function} listener - リスナー（イベントの内容を受け取る）
+     * @returns {Function} 登録を解除する関数
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+        return () => this.off(type, listener);
+    }
+    
+    /**
+     * 変更イベントのリスナーの登録を解除する
+     * @param {string} type - イベントの種類
+     * @param {Function} listener - on()で登録したリスナー
+     */
+    off(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(registered => registered !== listener);
+    }
+    
+    /**
+     * 変更イベントをリスナーに通知する（内部メソッド）
+     * リスナーの例外は他のリスナーとゲームの進行に影響しないようにログに出力するのみとする
+     * @param {string} type - イベントの種類
+     * @param {Object} detail - イベントの内容
+     */
+    emit(type, detail) {
+        [...(this.listeners[type] || [])].forEach(listener => {
+            try {
+                listener({ type, ...detail });
+            } catch (error) {
+                console.error(`${type} のリスナーでエラーが発生しました:`, error);
+            }
+        });
+    }
+    
+    /**
+     * ステータスの変更を開始する（内部メソッド）
+     * 入れ子の変更（applyAction内のchangeStaminaなど）は最も外側の変更の終わりにまとめて通知する
+     * @returns {Object|null} 変更前のステータス（入れ子の場合はnull）
+     */
+    beginStatChange() {
+        this.statChangeDepth++;
+        if (this.statChangeDepth > 1) {
+            return null;
+        }
+        return Object.fromEntries(TRACKED_STATS.map(stat => [stat, this[stat]]));
+    }
+    
+    /**
+     * ステータスの変更を終了し、変化したステータスを STAT_CHANGED で通知する（内部メソッド）
+     * @param {Object|null} before - beginStatChange()の戻り値
+     */
+    endStatChange(before) {
+        this.statChangeDepth--;
+        if (!before) {
+            return;
+        }
+        TRACKED_STATS.forEach(stat => {
+            if (before[stat] !== this[stat]) {
+                this.emit(GAME_STATE_EVENTS.STAT_CHANGED, { stat, old_value: before[stat], new_value: this[stat] });
+            }
+        });
     }
     
     /**
@@ -30,28 +165,40 @@ export class GameState {
      * @param {Object} eventData - イベントデータ（オプション）
      */
     applyAction(actionType, eventData = {}) {
+        const before = this.beginStatChange();
+        
+        // 疲労状態では収入・好感度の上昇が減る（行動前の体力で判定）
+        const efficiency = this.isExhausted() ? this.config.low_stamina_efficiency : 1;
+        
         switch (actionType) {
             case 'play':
                 // 遊ぶ：好感度を3-8ポイント増加（要件1.3）
                 const affectionGain = this.config.play_affection_base + 
-                    Math.floor(Math.random() * (this.config.play_affection_variation * 2 + 1)) - 
-                    this.config.play_affection_variation;
-                this.affection = Math.min(100, this.affection + Math.max(3, affectionGain));
+                    this.random.nextInt(-this.config.play_affection_variation, this.config.play_affection_variation);
+                this.affection = Math.min(100, this.affection + Math.round(Math.max(3, affectionGain) * efficiency));
+                this.changeStamina(-this.config.play_stamina_cost);
                 this.resetConsecutiveNone();
                 break;
                 
             case 'work':
+                if (!this.isActionAvailable('work')) {
+                    console.warn('今日は仕事が休みのため収入はありません');
+                    this.resetConsecutiveNone();
+                    break;
+                }
                 // 仕事：所持金を4000-7000円増加（要件1.4）
                 const moneyGain = this.config.work_base_income + 
-                    Math.floor(Math.random() * (this.config.work_income_variation * 2 + 1)) - 
-                    this.config.work_income_variation;
-                this.money += Math.max(4000, Math.min(7000, moneyGain));
+                    this.random.nextInt(-this.config.work_income_variation, this.config.work_income_variation);
+                this.money += Math.round(Math.max(4000, Math.min(7000, moneyGain)) * efficiency);
+                this.changeStamina(-this.config.work_stamina_cost);
                 this.resetConsecutiveNone();
                 break;
                 
             case 'none':
-                // 何もしない：連続回数を増加（要件1.5）
-                this.consecutive_none++;
+                // 何もしない：体力を回復し、連続回数を増加（要件1.5）
+                this.changeStamina(this.config.none_stamina_recovery);
+                this.consecutive_none_slots++;
+                this.consecutive_none = Math.floor(this.consecutive_none_slots / this.getSlotsPerDay());
                 break;
                 
             default:
@@ -59,28 +206,239 @@ export class GameState {
         }
         
         // イベントデータによる追加効果を適用
-        if (eventData.affection_delta) {
-            this.affection = Math.max(0, Math.min(100, this.affection + eventData.affection_delta));
+        this.applyEffects(eventData);
+        this.endStatChange(before);
+    }
+    
+    /**
+     * イベント・商品の効果（好感度・所持金・体力の増減とフラグ・変数操作）を適用する
+     * @param {Object} effects - 効果（affection_delta, money_delta, stamina_delta, set_flags など）
+     */
+    applyEffects(effects) {
+        const before = this.beginStatChange();
+        if (effects.affection_delta) {
+            this.affection = Math.max(0, Math.min(100, this.affection + effects.affection_delta));
+        }
+        if (effects.money_delta) {
+            this.money = Math.max(0, this.money + effects.money_delta);
         }
-        if (eventData.money_delta) {
-            this.money = Math.max(0, this.money + eventData.money_delta);
+        if (effects.stamina_delta) {
+            this.changeStamina(effects.stamina_delta);
+        }
+        this.applyStoryEffects(effects);
+        this.endStatChange(before);
+    }
+    
+    /**
+     * 商品を購入する（在庫・所持金の判定は ShopSystem.canPurchase() で行う）
+     * effects.config_delta は設定値への加算で、購入後のすべての行動に反映される（アップグレード）
+     * @param {Object} item - 商品定義
+     * @returns {boolean} 購入できたかどうか（所持金不足の場合はfalse）
+     */
+    purchaseItem(item) {
+        if (this.money < item.price) {
+            console.warn(`所持金が足りないため購入できません: ${item.id}`);
+            return false;
+        }
+        
+        const before = this.beginStatChange();
+        const effects = item.effects || {};
+        this.money -= item.price;
+        this.purchases[item.id] = (this.purchases[item.id] || 0) + 1;
+        this.applyEffects(effects);
+        Object.entries(effects.config_delta || {}).forEach(([key, amount]) => {
+            this.config[key] = (this.config[key] || 0) + amount;
+        });
+        this.endStatChange(before);
+        return true;
+    }
+    
+    /**
+     * 商品の購入回数を取得する
+     * @param {string} itemId - 商品ID
+     * @returns {number} 購入回数
+     */
+    getPurchaseCount(itemId) {
+        return this.purchases[itemId] || 0;
+    }
+    
+    /**
+     * 体力を増減する（0〜max_staminaの範囲に収める）
+     * @param {number} amount - 増減量
+     */
+    changeStamina(amount) {
+        const before = this.beginStatChange();
+        this.stamina = Math.max(0, Math.min(this.config.max_stamina, this.stamina + amount));
+        this.endStatChange(before);
+    }
+    
+    /**
+     * 疲労状態（体力が low_stamina_threshold 未満）かどうかを確認する
+     * @returns {boolean} 疲労状態かどうか
+     */
+    isExhausted() {
+        return this.stamina < this.config.low_stamina_threshold;
+    }
+    
+    /**
+     * 行動を選択できるか確認する（休みの曜日は仕事ができない）
+     * @param {string} actionType - 行動タイプ
+     * @returns {boolean} 選択できるかどうか
+     */
+    isActionAvailable(actionType) {
+        if (actionType === 'work') {
+            return !this.config.closed_weekdays.includes(this.getDate().weekday);
         }
+        return true;
     }
     
     /**
-     * 日数を1日進める
+     * 現在の日付情報を取得する
+     * @returns {Object} 日付情報（Calendar.getDate()を参照）
+     */
+    getDate() {
+        return this.calendar.getDate(this.day);
+    }
+    
+    /**
+     * 日数を1日進める（時間帯は最初に戻る）
      */
     incrementDay() {
+        const oldDay = this.day;
         if (this.day < this.config.max_days) {
             this.day++;
         }
+        this.slot = 0;
+        
+        if (this.day !== oldDay) {
+            this.emit(GAME_STATE_EVENTS.DAY_ADVANCED, { old_day: oldDay, day: this.day, date: this.getDate() });
+        }
+    }
+    
+    /**
+     * 1日の時間帯の数を取得する
+     * @returns {number} 時間帯の数（時間帯制でない場合は1）
+     */
+    getSlotsPerDay() {
+        return Math.max(1, this.config.time_slots.length);
+    }
+    
+    /**
+     * 現在の時間帯を取得する
+     * @returns {string|null} 時間帯（例: 'morning'、時間帯制でない場合はnull）
+     */
+    getTimeSlot() {
+        return this.config.time_slots.length > 0 ? this.config.time_slots[this.slot] : null;
+    }
+    
+    /**
+     * 次の時間帯に進める
+     * その日の最後の時間帯の場合は進めずにfalseを返す（日数は incrementDay() で進める）
+     * @returns {boolean} 同じ日の次の時間帯に進んだかどうか
+     */
+    advanceSlot() {
+        if (this.slot >= this.getSlotsPerDay() - 1) {
+            return false;
+        }
+        
+        this.slot++;
+        this.emit(GAME_STATE_EVENTS.SLOT_ADVANCED, { day: this.day, slot: this.slot, time_slot: this.getTimeSlot() });
+        return true;
+    }
+    
+    /**
+     * イベントデータのフラグ・変数操作を適用する
+     * @param {Object} eventData - イベントデータ（set_flags, clear_flags, set_counters, increment_counters）
+     */
+    applyStoryEffects(eventData) {
+        Object.entries(eventData.set_flags || {}).forEach(([name, value]) => this.setFlag(name, value));
+        (eventData.clear_flags || []).forEach(name => this.clearFlag(name));
+        Object.entries(eventData.set_counters || {}).forEach(([name, value]) => this.setCounter(name, value));
+        Object.entries(eventData.increment_counters || {}).forEach(([name, amount]) => this.incrementCounter(name, amount));
+    }
+    
+    /**
+     * フラグを設定する
+     * @param {string} name - フラグ名（例: 'confessed'）
+     * @param {*} value - 値（省略時はtrue）
+     */
+    setFlag(name, value = true) {
+        this.flags[name] = value;
+    }
+    
+    /**
+     * フラグの値を取得する
+     * @param {string} name - フラグ名
+     * @returns {*} フラグの値（未設定の場合はundefined）
+     */
+    getFlag(name) {
+        return this.flags[name];
+    }
+    
+    /**
+     * フラグが立っているか確認する
+     * @param {string} name - フラグ名
+     * @returns {boolean} フラグが真値かどうか
+     */
+    hasFlag(name) {
+        return Boolean(this.flags[name]);
+    }
+    
+    /**
+     * フラグを削除する
+     * @param {string} name - フラグ名
+     */
+    clearFlag(name) {
+        delete this.flags[name];
+    }
+    
+    /**
+     * 変数の値を取得する
+     * @param {string} name - 変数名（例: 'gift_count'）
+     * @returns {number} 変数の値（未設定の場合は0）
+     */
+    getCounter(name) {
+        return this.counters[name] || 0;
+    }
+    
+    /**
+     * 変数に値を設定する
+     * @param {string} name - 変数名
+     * @param {number} value - 値
+     */
+    setCounter(name, value) {
+        this.counters[name] = Number(value) || 0;
+    }
+    
+    /**
+     * 変数を増減する
+     * @param {string} name - 変数名
+     * @param {number} amount - 増減量（省略時は1）
+     */
+    incrementCounter(name, amount = 1) {
+        this.counters[name] = this.getCounter(name) + (Number(amount) || 0);
+    }
+    
+    /**
+     * イベントの発生を履歴に記録する（一度きり・クールダウン条件の判定用）
+     * @param {string} eventId - 発生したイベントのID
+     */
+    recordEvent(eventId) {
+        const history = this.event_history[eventId] || { count: 0, last_day: 0 };
+        this.event_history[eventId] = {
+            count: history.count + 1,
+            last_day: this.day
+        };
     }
     
     /**
      * 連続何もしない回数をリセットする
      */
     resetConsecutiveNone() {
+        const before = this.beginStatChange();
         this.consecutive_none = 0;
+        this.consecutive_none_slots = 0;
+        this.endStatChange(before);
     }
     
     /**
@@ -93,84 +451,94 @@ export class GameState {
     
     /**
      * 現在のゲーム状態を取得する
+     * date（カレンダーの日付情報）と time_slot（時間帯名）は算出した値で、setState()では使用しない
      * @returns {Object} ゲーム状態オブジェクト
      */
     getState() {
         return {
+            version: SAVE_VERSION,
             day: this.day,
+            slot: this.slot,
+            time_slot: this.getTimeSlot(),
             affection: this.affection,
             money: this.money,
+            stamina: this.stamina,
             consecutive_none: this.consecutive_none,
+            consecutive_none_slots: this.consecutive_none_slots,
+            event_history: JSON.parse(JSON.stringify(this.event_history)),
+            flags: { ...this.flags },
+            counters: { ...this.counters },
+            purchases: { ...this.purchases },
+            date: this.getDate(),
+            seed: this.random.getSeed(),
+            random_state: this.random.getState(),
             config: { ...this.config }
         };
     }
     
     /**
      * ゲーム状態を設定する（セーブデータ復元用）
-     * @param {Object} state - 復元するゲーム状態
+     * 古いバージョンの状態は現在のバージョンにマイグレーションしてから適用する
+     * @param {Object} savedState - 復元するゲーム状態
+     * @throws {Error} セーブデータが実行中のコードより新しい場合
      */
-    setState(state) {
+    setState(savedState) {
+        const state = migrateState(savedState);
+        
         this.day = Math.max(1, Math.min(this.config.max_days, state.day || 1));
         this.affection = Math.max(0, Math.min(100, state.affection || this.config.initial_affection));
         this.money = Math.max(0, state.money || 0);
-        this.consecutive_none = Math.max(0, state.consecutive_none || 0);
+        this.event_history = JSON.parse(JSON.stringify(state.event_history));
+        this.flags = { ...state.flags };
+        this.counters = { ...state.counters };
+        this.purchases = { ...state.purchases };
         
+        // 乱数状態の復元（内部状態がない場合はシードから再開）
+        if (state.random_state) {
+            this.random.setState(state.random_state);
+        } else if (state.seed !== undefined) {
+            this.random.setSeed(state.seed);
+        }
+        
+        // 設定は既定値に保存時の設定を重ねる（前のゲームのアップグレードなどを持ち越さない）
+        this.config = { ...this.baseConfig };
         if (state.config) {
             this.updateConfig(state.config);
         }
+        
+        // 体力・時間帯・連続何もしない回数は設定（最大値・時間帯の数）に合わせて復元する
+        this.stamina = Math.max(0, Math.min(this.config.max_stamina, state.stamina));
+        this.slot = Math.max(0, Math.min(this.getSlotsPerDay() - 1, state.slot || 0));
+        this.consecutive_none_slots = Math.max(0, state.consecutive_none_slots || 0);
+        this.consecutive_none = Math.floor(this.consecutive_none_slots / this.getSlotsPerDay());
+        this.reached_ending = null;
+        
+        this.emit(GAME_STATE_EVENTS.STATE_RESTORED, { state: this.getState() });
     }
     
     /**
-     * エンディング条件をチェックする
-     * @returns {string|null} エンディングタイプまたはnull（ゲーム継続）
+     * エンディング条件をチェックする（判定はEndingSystemのエンディング定義による）
+     * 初めてエンディングに到達したときは ENDING_REACHED を通知する
+     * @returns {string|null} エンディングIDまたはnull（ゲーム継続）
      */
     checkEndingCondition() {
-        // バッドエンド条件：連続10回何もしない（要件5.1）
-        if (this.consecutive_none >= this.config.bad_end_threshold) {
-            return 'bad_end';
+        const ending = this.endingSystem.evaluate(this.getState());
+        if (ending && this.reached_ending !== ending.id) {
+            this.reached_ending = ending.id;
+            this.emit(GAME_STATE_EVENTS.ENDING_REACHED, { ending_id: ending.id, state: this.getState() });
         }
-        
-        // 30日経過時のエンディング判定（要件4.1）
-        if (this.day >= this.config.max_days) {
-            // 理想の共存エンド：好感度70以上かつ所持金100000円以上（要件4.2）
-            if (this.affection >= this.config.affection_threshold && 
-                this.money >= this.config.goal_money) {
-                return 'perfect_end';
-            }
-            
-            // 夢を叶えるエンド：所持金100000円以上（要件4.3）
-            if (this.money >= this.config.goal_money) {
-                return 'money_end';
-            }
-            
-            // 心でつながるエンド：好感度70以上（要件4.4）
-            if (this.affection >= this.config.affection_threshold) {
-                return 'affection_end';
-            }
-            
-            // 通常失敗エンド：上記条件を満たさない（要件4.5）
-            return 'normal_end';
-        }
-        
-        // ゲーム継続
-        return null;
+        return ending ? ending.id : null;
     }
     
     /**
-     * エンディングタイプに対応する日本語名を取得する
-     * @param {string} endingType - エンディングタイプ
-     * @returns {string} エンディングの日本語名
+     * エンディングIDに対応するタイトルを取得する
+     * 未定義のエンディングの表示名は呼び出し側で言語ファイルの 'ending.unknown' を使用する
+     * @param {string} endingType - エンディングID
+     * @returns {string|null} エンディングのタイトル（未定義の場合はnull）
      */
     getEndingName(endingType) {
-        const endingNames = {
-            'perfect_end': '理想の共存エンド',
-            'money_end': '夢を叶えるエンド',
-            'affection_end': '心でつながるエンド',
-            'normal_end': '通常失敗エンド',
-            'bad_end': '空白エンド'
-        };
-        
-        return endingNames[endingType] || '不明なエンディング';
+        const ending = this.endingSystem.getEnding(endingType);
+        return ending ? ending.title : null;
     }
     
     /**
@@ -190,6 +558,7 @@ export class GameState {
             this.day >= 1 && this.day <= this.config.max_days &&
             this.affection >= 0 && this.affection <= 100 &&
             this.money >= 0 &&
+            this.stamina >= 0 && this.stamina <= this.config.max_stamina &&
             this.consecutive_none >= 0
         );
     }
@@ -0,0 +1,130 @@
+import { renderTemplate } from './textTemplate.js';
+import ja from './locales/ja.js';
+import en from './locales/en.js';
+
+/**
+ * 多言語対応
+ * UIの文言は js/locales/ の言語別バンドルから、イベント・エンディングの本文はデータの translations から取得する
+ * 翻訳がない場合は日本語（DEFAULT_LOCALE）で表示する
+ */
+
+// 基準言語（翻訳がない場合の表示言語）
+export const DEFAULT_LOCALE = 'ja';
+
+// 言語ID → 言語バンドル
+export const LOCALE_BUNDLES = { ja, en };
+
+// データの translations で上書きできるフィールド
+const TRANSLATABLE_FIELDS = ['title', 'text', 'response', 'name', 'description'];
+
+export class I18n {
+    /**
+     * @param {string} locale - 表示言語
+     * @param {Object} bundles - 言語ID → 言語バンドル（format_locale, messages）
+     */
+    constructor(locale = DEFAULT_LOCALE, bundles = LOCALE_BUNDLES) {
+        this.bundles = bundles;
+        this.locale = DEFAULT_LOCALE;
+        this.setLocale(locale);
+    }
+
+    /**
+     * 表示言語を設定する
+     * @param {string} locale - 言語ID（例: 'en'）
+     * @returns {boolean} 設定できたかどうか（未対応の言語の場合はfalse）
+     */
+    setLocale(locale) {
+        if (!this.bundles[locale]) {
+            console.warn(`未対応の言語です: ${locale}`);
+            return false;
+        }
+
+        this.locale = locale;
+        return true;
+    }
+
+    /**
+     * 現在の表示言語を取得する
+     * @returns {string} 言語ID
+     */
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * 選択できる言語の一覧を取得する（言語切り替え用）
+     * @returns {Array<Object>} 言語情報（id, name）の配列
+     */
+    getAvailableLocales() {
+        return Object.entries(this.bundles).map(([id, bundle]) => ({
+            id: id,
+            name: bundle.messages['meta.language_name'] || id
+        }));
+    }
+
+    /**
+     * 数値・日時の書式に使用するロケールを取得する
+     * @returns {string} ロケール（例: 'ja-JP'）
+     */
+    getFormatLocale() {
+        return this.bundles[this.locale].format_locale || this.bundles[DEFAULT_LOCALE].format_locale;
+    }
+
+    /**
+     * メッセージを取得する
+     * 現在の言語にないキーは日本語のメッセージを使用する
+     * @param {string} key - メッセージキー（例: 'dialogue.day_start'）
+     * @param {Object} params - メッセージ中の {name} に差し込む値
+     * @returns {string} 表示用の文字列
+     */
+    t(key, params = {}) {
+        let message = this.bundles[this.locale].messages[key];
+        if (message === undefined) {
+            message = this.bundles[DEFAULT_LOCALE].messages[key];
+        }
+        if (message === undefined) {
+            console.warn(`メッセージが見つかりません: ${key}`);
+            return key;
+        }
+
+        return renderTemplate(message, params, { locale: this.getFormatLocale() });
+    }
+
+    /**
+     * イベント・エンディング・カレンダー定義の本文を現在の言語に置き換える
+     * translations[言語ID] の title / text / response / name / description（選択肢は同じ位置のもの）で上書きし、ないものは元の本文を使用する
+     * @param {Object|null} data - イベント・エンディング・商品などの定義
+     * @returns {Object|null} 本文を置き換えた定義（元の定義は変更しない）
+     */
+    localize(data) {
+        const translation = data && data.translations ? data.translations[this.locale] : null;
+        if (!translation) {
+            return data;
+        }
+
+        const localized = { ...data, ...pickTranslatableFields(translation) };
+        if (Array.isArray(data.choices)) {
+            const choiceTranslations = translation.choices || [];
+            localized.choices = data.choices.map((choice, index) => ({
+                ...choice,
+                ...pickTranslatableFields(choiceTranslations[index] || {})
+            }));
+        }
+        return localized;
+    }
+}
+
+/**
+ * 翻訳から上書きできるフィールドだけを取り出す（内部関数）
+ * @param {Object} translation - 翻訳
+ * @returns {Object} 上書きするフィールド
+ */
+function pickTranslatableFields(translation) {
+    const fields = {};
+    TRANSLATABLE_FIELDS.forEach(field => {
+        if (translation[field] !== undefined) {
+            fields[field] = translation[field];
+        }
+    });
+    return fields;
+}
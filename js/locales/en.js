@@ -0,0 +1,118 @@
+/**
+ * 英語のメッセージ
+ * ここにないキーは日本語（ja.js）で表示される
+ */
+export default {
+    format_locale: 'en-US',
+    messages: {
+        'meta.language_name': 'English',
+
+        // タイトル画面
+        'title.new_game': 'New Game',
+        'title.continue': 'Continue',
+        'title.resume': 'Resume (Day {day})',
+        'title.language': 'Language',
+
+        // ステータスバー
+        'status.stamina': 'Stamina {stamina}/{max_stamina}',
+
+        // 行動
+        'action.play': 'Play',
+        'action.work': 'Work',
+        'action.none': 'Do Nothing',
+        'action.work_closed': 'No work today',
+        'action_result.play': 'You had a great time playing with Shisu!',
+        'action_result.work': 'Good work today! You earned some money.',
+        'action_result.none': 'You did nothing today...',
+        'action_result.other': 'Something happened.',
+
+        // 会話
+        'dialogue.game_start': 'The game begins. What will you do today?',
+        'dialogue.day_start': 'It is the morning of day {day}. What will you do today?',
+        'dialogue.resume': 'Resuming from the morning of day {day}. What will you do today?',
+        'dialogue.slot_start': 'Day {day}, {time_slot}. What will you do?',
+        'dialogue.resume_slot': 'Resuming from day {day}, {time_slot}. What will you do?',
+        'dialogue.saved': 'Saved to slot {slot}.',
+        'dialogue.save_failed': 'Failed to save.',
+
+        // イベント・エンディング
+        'event.continue': 'Next',
+        'ending.next': 'Next',
+        'ending.return': 'Back to Title',
+        'ending.unknown': 'Unknown Ending',
+
+        // カレンダー・時間帯
+        'calendar.date': '{weekday}, {month}/{date}',
+        'weekday.sunday': 'Sun',
+        'weekday.monday': 'Mon',
+        'weekday.tuesday': 'Tue',
+        'weekday.wednesday': 'Wed',
+        'weekday.thursday': 'Thu',
+        'weekday.friday': 'Fri',
+        'weekday.saturday': 'Sat',
+        'season.spring': 'Spring',
+        'season.summer': 'Summer',
+        'season.autumn': 'Autumn',
+        'season.winter': 'Winter',
+        'time_slot.morning': 'Morning',
+        'time_slot.afternoon': 'Afternoon',
+        'time_slot.night': 'Night',
+
+        // システムメニュー・セーブ画面
+        'menu.save': 'Save',
+        'menu.load': 'Load',
+        'menu.import': 'Import',
+        'menu.close': 'Close',
+        'slot.number': 'Slot {slot}',
+        'slot.autosave': 'Autosave',
+        'slot.empty': '--- Empty ---',
+        'slot.detail': 'Day {day} / Affection {affection} / ¥{money} (Goal {money_progress}% / Affection {affection_progress}%)',
+        'slot.export_file': 'Export File',
+        'slot.export_code': 'Save Code',
+
+        // ショップ
+        'menu.shop': 'Shop',
+        'shop.title': 'Shop',
+        'shop.money': 'Money: ¥{money}',
+        'shop.price': '¥{price}',
+        'shop.stock': '{stock} left',
+        'shop.category.gift': 'Gifts',
+        'shop.category.outing': 'Outings',
+        'shop.category.upgrade': 'Upgrades',
+        'shop.sold_out': 'Sold out',
+        'shop.not_enough_money': 'Not enough money',
+        'shop.purchased': 'You bought: {name}.',
+
+        // バックログ
+        'menu.backlog': 'Log',
+        'backlog.title': 'Backlog',
+        'backlog.empty': 'No text has been shown yet.',
+        'backlog.day': 'Day {day}',
+        'backlog.choice': '▶ {text}',
+
+        // オート・スキップ
+        'mode.auto': 'Auto',
+        'mode.skip': 'Skip',
+        'mode.auto_delay': '{seconds}s',
+
+        // エクスポート・インポート
+        'transfer.code_title': 'Save Code',
+        'transfer.code_description': 'Paste this code into "Import" in another browser to continue playing.',
+        'transfer.copy': 'Copy',
+        'transfer.import_title': 'Import',
+        'transfer.import_description': 'Paste a save code or choose an exported file.',
+        'transfer.import_action': 'Load',
+
+        // 通知
+        'notify.export_empty': 'There is no save data to export.',
+        'notify.load_failed': 'Could not load the save data.',
+        'notify.invalid_save': 'The save data is invalid and cannot be loaded.',
+        'notify.file_read_failed': 'Failed to read the file.',
+        'notify.save_error.empty': 'There is no data to import.',
+        'notify.save_error.malformed': 'The save data is malformed (it may be corrupted).',
+        'notify.save_error.wrong_format': 'This is not save data for this game.',
+        'notify.save_error.checksum_mismatch': 'The save data checksum does not match (it has been tampered with or corrupted).',
+        'notify.save_error.too_new': 'This save data (v{version}) is newer than the game (v{current}) and cannot be loaded. Please update the game.',
+        'notify.save_error.missing_migration': 'This save data (v{version}) cannot be converted and cannot be loaded.'
+    }
+};
@@ -0,0 +1,119 @@
+/**
+ * 日本語のメッセージ（基準言語）
+ * 他の言語で未翻訳のメッセージはここから表示される
+ * {name} の部分は I18n.t() に渡した値で置き換えられる（textTemplate.js と同じ書式）
+ */
+export default {
+    format_locale: 'ja-JP',
+    messages: {
+        'meta.language_name': '日本語',
+
+        // タイトル画面
+        'title.new_game': 'はじめから',
+        'title.continue': '続きから',
+        'title.resume': '前回の続きから（{day}日目）',
+        'title.language': '言語',
+
+        // ステータスバー
+        'status.stamina': '体力 {stamina}/{max_stamina}',
+
+        // 行動
+        'action.play': '遊ぶ',
+        'action.work': '仕事',
+        'action.none': '何もしない',
+        'action.work_closed': '今日は仕事が休みです',
+        'action_result.play': 'しすと楽しく遊びました！',
+        'action_result.work': 'お疲れ様でした！お金を稼ぎました。',
+        'action_result.none': '今日は何もしませんでした...',
+        'action_result.other': '何かが起こりました。',
+
+        // 会話
+        'dialogue.game_start': 'ゲームを開始します。今日は何をしますか？',
+        'dialogue.day_start': '{day}日目の朝です。今日は何をしますか？',
+        'dialogue.resume': '{day}日目の朝から再開します。今日は何をしますか？',
+        'dialogue.slot_start': '{day}日目、{time_slot}です。何をしますか？',
+        'dialogue.resume_slot': '{day}日目の{time_slot}から再開します。何をしますか？',
+        'dialogue.saved': 'スロット{slot}にセーブしました。',
+        'dialogue.save_failed': 'セーブに失敗しました。',
+
+        // イベント・エンディング
+        'event.continue': '次へ',
+        'ending.next': '次へ',
+        'ending.return': 'タイトルに戻る',
+        'ending.unknown': '不明なエンディング',
+
+        // カレンダー・時間帯
+        'calendar.date': '{month}月{date}日（{weekday}）',
+        'weekday.sunday': '日',
+        'weekday.monday': '月',
+        'weekday.tuesday': '火',
+        'weekday.wednesday': '水',
+        'weekday.thursday': '木',
+        'weekday.friday': '金',
+        'weekday.saturday': '土',
+        'season.spring': '春',
+        'season.summer': '夏',
+        'season.autumn': '秋',
+        'season.winter': '冬',
+        'time_slot.morning': '朝',
+        'time_slot.afternoon': '昼',
+        'time_slot.night': '夜',
+
+        // システムメニュー・セーブ画面
+        'menu.save': 'セーブ',
+        'menu.load': 'ロード',
+        'menu.import': 'インポート',
+        'menu.close': '閉じる',
+        'slot.number': 'スロット{slot}',
+        'slot.autosave': 'オートセーブ',
+        'slot.empty': '--- データなし ---',
+        'slot.detail': '{day}日目 / 好感度 {affection} / 所持金 {money}円（目標金額 {money_progress}% / 好感度 {affection_progress}%）',
+        'slot.export_file': 'ファイルに出力',
+        'slot.export_code': 'セーブコード',
+
+        // ショップ
+        'menu.shop': 'ショップ',
+        'shop.title': 'ショップ',
+        'shop.money': '所持金 {money}円',
+        'shop.price': '{price}円',
+        'shop.stock': '残り{stock}個',
+        'shop.category.gift': 'プレゼント',
+        'shop.category.outing': 'おでかけ',
+        'shop.category.upgrade': '生活の改善',
+        'shop.sold_out': '売り切れ',
+        'shop.not_enough_money': '所持金が足りません',
+        'shop.purchased': '{name}を購入しました。',
+
+        // バックログ
+        'menu.backlog': '履歴',
+        'backlog.title': 'バックログ',
+        'backlog.empty': 'まだ表示したテキストはありません。',
+        'backlog.day': '{day}日目',
+        'backlog.choice': '▶ {text}',
+
+        // オート・スキップ
+        'mode.auto': 'オート',
+        'mode.skip': 'スキップ',
+        'mode.auto_delay': '{seconds}秒',
+
+        // エクスポート・インポート
+        'transfer.code_title': 'セーブコード',
+        'transfer.code_description': 'このコードを別のブラウザの「インポート」に貼り付けると続きから遊べます。',
+        'transfer.copy': 'コピー',
+        'transfer.import_title': 'インポート',
+        'transfer.import_description': 'セーブコードを貼り付けるか、エクスポートしたファイルを選択してください。',
+        'transfer.import_action': '読み込む',
+
+        // 通知
+        'notify.export_empty': 'エクスポートできるセーブデータがありません。',
+        'notify.load_failed': 'セーブデータを読み込めませんでした。',
+        'notify.invalid_save': 'セーブデータの内容が不正なため読み込めません。',
+        'notify.file_read_failed': 'ファイルの読み込みに失敗しました。',
+        'notify.save_error.empty': 'インポートするデータが空です。',
+        'notify.save_error.malformed': 'セーブデータの形式が不正です（破損している可能性があります）。',
+        'notify.save_error.wrong_format': 'このゲームのセーブデータではありません。',
+        'notify.save_error.checksum_mismatch': 'セーブデータのチェックサムが一致しません（改ざんまたは破損しています）。',
+        'notify.save_error.too_new': 'セーブデータのバージョン（v{version}）がこのゲーム（v{current}）より新しいため読み込めません。ゲームを最新版に更新してください。',
+        'notify.save_error.missing_migration': 'セーブデータのバージョン（v{version}）を変換できないため読み込めません。'
+    }
+};
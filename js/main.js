@@ -2,43 +2,117 @@
 // 他のモジュールをインポートして初期化を行う
 
 // モジュールのインポート
-import { GameState } from './gameState.js';
+import { GameState, GAME_STATE_EVENTS } from './gameState.js';
 import { EventSystem } from './eventSystem.js';
+import { EndingSystem } from './endingSystem.js';
+import { Calendar } from './calendar.js';
+import { ShopSystem } from './shopSystem.js';
+import { GameFlow, FLOW_STATES } from './gameFlow.js';
+import { ReadHistory } from './readHistory.js';
+import { SeededRandom } from './random.js';
 import UIController from './uiController.js';
 import AudioManager from './audioManager.js';
-// import { SaveSystem } from './saveSystem.js';
+import VisualManager from './visualManager.js';
+import { SaveSystem, AUTOSAVE_SLOT } from './saveSystem.js';
+import { SaveDataError } from './saveDataError.js';
+import { createStorage } from './storage.js';
+import { renderTemplate, createTextContext } from './textTemplate.js';
+import { I18n, DEFAULT_LOCALE } from './i18n.js';
 
 // グローバルゲーム状態（一時的）
 let gameState = null;
 let uiController = null;
 let eventSystem = null;
+let endingSystem = null;
+let calendar = null;
+let shopSystem = null;
+let gameFlow = null;
 let audioManager = null;
+let visualManager = null;
+let saveSystem = null;
+let storage = null;
+let i18n = null;
+let readHistory = null;
+
+// 表示言語の設定を保存するストレージキー
+const LOCALE_STORAGE_KEY = 'sisto30_locale';
+const AUTO_DELAY_STORAGE_KEY = 'sisto30_auto_delay';
+
+// イベント画面で継続ボタンが押されたときに実行する処理
+let eventStep = null;
 
 // 一時的な初期化処理（プロジェクト基盤確認用）
-document.addEventListener('DOMContentLoaded', function () {
+document.addEventListener('DOMContentLoaded', async function () {
     console.log('ビジュアルノベルゲーム - プロジェクト基盤が正常に読み込まれました');
 
+    // EndingSystemクラスの動作確認（GameStateのエンディング判定で使用）
+    endingSystem = new EndingSystem();
+    console.log('EndingSystem初期化完了');
+
+    // Calendarクラスの動作確認（GameStateの日付・曜日の判定で使用）
+    calendar = new Calendar();
+    console.log('Calendar初期化完了');
+
     // GameStateクラスの動作確認
-    gameState = new GameState();
+    gameState = createGameState();
     console.log('GameState初期化完了:', gameState.getState());
 
     // AudioManagerクラスの動作確認
     audioManager = new AudioManager();
     console.log('AudioManager初期化完了');
 
+    // VisualManagerクラスの動作確認（時間帯制の背景切り替えで使用）
+    visualManager = new VisualManager();
+    console.log('VisualManager初期化完了');
+
+    // 表示言語（ストレージの設定を読み込むまでは日本語）
+    i18n = new I18n();
+
     // UIControllerクラスの動作確認
-    uiController = new UIController(audioManager);
+    uiController = new UIController(audioManager, i18n);
     console.log('UIController初期化完了');
 
-    // EventSystemクラスの動作確認
-    eventSystem = new EventSystem();
+    // ゲーム状態の変更イベントの購読（ゲームをまたいで同じGameStateを使用する）
+    subscribeGameState();
+
+    // EventSystemクラスの動作確認（GameStateと乱数生成器を共有）
+    eventSystem = new EventSystem(gameState.random);
     console.log('EventSystem初期化完了');
 
-    // イベントデータの読み込み
+    // GameFlowクラスの動作確認（各処理は進行状態が遷移できる場合のみ実行する）
+    gameFlow = new GameFlow();
+    console.log('GameFlow初期化完了');
+
+    // ShopSystemクラスの動作確認
+    shopSystem = new ShopSystem();
+    console.log('ShopSystem初期化完了');
+
+    // ストレージバックエンドの選択（起動時に一度だけ行い、永続化はすべてこれを経由する）
+    // ?storage=memory のようにURLで指定可能（ヘッドレステスト用）
+    const storageParam = new URLSearchParams(window.location.search).get('storage');
+    storage = await createStorage(storageParam || 'auto');
+    console.log('ストレージ初期化完了:', storage.type);
+
+    // SaveSystemクラスの動作確認
+    saveSystem = new SaveSystem(storage);
+    console.log('SaveSystem初期化完了');
+
+    // 表示言語の設定（?lang=en のようにURLで指定可能、なければ保存された設定）
+    await initializeLocale();
+
+    // 既読状態（スキップモード用）とオートモードの待ち時間の読み込み
+    readHistory = new ReadHistory(storage);
+    await readHistory.load();
+    await initializeAutoDelay();
+
+    // イベントデータ・エンディング定義・商品定義・カレンダー定義の読み込み
     initializeEventSystem();
+    initializeEndingSystem();
+    initializeShopSystem();
+    await initializeCalendar();
 
     // ステータスバーの初期表示
-    uiController.updateStatusBar(gameState.getState());
+    updateStatusBar();
 
     // 基本的なUI要素の存在確認
     const requiredElements = [
@@ -70,16 +144,192 @@ document.addEventListener('DOMContentLoaded', function () {
 
 
 
+// URLの ?seed= で指定されたシードを取得する（指定がない場合はnullで、新規生成される）
+function getSeedParam() {
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    return seedParam !== null && !Number.isNaN(Number(seedParam)) ? Number(seedParam) : null;
+}
+
+// 新しいGameStateを作成する（EventSystemへの乱数生成器の共有は呼び出し側で行う）
+function createGameState() {
+    const random = new SeededRandom(getSeedParam());
+    console.log('乱数シード:', random.getSeed());
+    return new GameState({}, random, endingSystem, calendar);
+}
+
+// 新しいゲームのためにゲーム状態を初期化する（乱数生成器はEventSystemと共有したまま）
+function resetGameState() {
+    gameState.reset(getSeedParam());
+    eventSystem.setScheduledEvents([]);
+    console.log('乱数シード:', gameState.random.getSeed());
+}
+
+// ゲーム状態の変更イベントを購読する
+// ステータスバーは状態が変わるたびにここで更新するため、各処理で更新する必要はない
+function subscribeGameState() {
+    [
+        GAME_STATE_EVENTS.STAT_CHANGED,
+        GAME_STATE_EVENTS.DAY_ADVANCED,
+        GAME_STATE_EVENTS.SLOT_ADVANCED,
+        GAME_STATE_EVENTS.STATE_RESET,
+        GAME_STATE_EVENTS.STATE_RESTORED
+    ].forEach(type => gameState.on(type, () => updateStatusBar()));
+
+    // バックログには表示したときの日を記録する
+    [
+        GAME_STATE_EVENTS.DAY_ADVANCED,
+        GAME_STATE_EVENTS.STATE_RESET,
+        GAME_STATE_EVENTS.STATE_RESTORED
+    ].forEach(type => gameState.on(type, () => uiController.setBacklogContext({ day: gameState.day, event_id: null })));
+
+    gameState.on(GAME_STATE_EVENTS.STAT_CHANGED, (event) => {
+        console.log(`ステータス変化: ${event.stat} ${event.old_value} → ${event.new_value}`);
+    });
+    gameState.on(GAME_STATE_EVENTS.DAY_ADVANCED, (event) => {
+        console.log(`${event.day}日目になりました`);
+    });
+    gameState.on(GAME_STATE_EVENTS.ENDING_REACHED, (event) => {
+        console.log('エンディング到達:', event.ending_id, event.state);
+    });
+}
+
+// カレンダー定義の初期化
+async function initializeCalendar() {
+    try {
+        await calendar.loadCalendar();
+        console.log('カレンダーの初期化が完了しました');
+    } catch (error) {
+        console.error('カレンダーの初期化に失敗しました:', error);
+    }
+}
+
+// ステータスバーを現在のゲーム状態で更新する
+function updateStatusBar() {
+    const state = gameState.getState();
+    const dateLabel = state.time_slot ? `${formatDate(state.date)} ${getTimeSlotName()}` : formatDate(state.date);
+    uiController.updateStatusBar(state, dateLabel);
+}
+
+// 現在の時間帯の表示名を取得する
+function getTimeSlotName() {
+    return i18n.t(`time_slot.${gameState.getTimeSlot()}`);
+}
+
+// 日（時間帯）の開始時に背景を切り替える
+// 時間帯制では時間帯（朝・昼・夜）の背景、そうでなければ日付の季節・祝日の背景を使用する
+function updateBackground() {
+    const timeSlot = gameState.getTimeSlot();
+    if (timeSlot) {
+        visualManager.setBackgroundByTimeSlot(timeSlot);
+    } else {
+        visualManager.setBackgroundByDate(gameState.getDate());
+    }
+}
+
+// 日付を表示用の文字列にする（祝日・誕生日の名前を含む）
+function formatDate(date) {
+    const label = i18n.t('calendar.date', {
+        month: date.month,
+        date: date.date,
+        weekday: i18n.t(`weekday.${date.weekday_name}`)
+    });
+    const specialDays = [...date.holidays, ...date.birthdays]
+        .map(id => i18n.localize(calendar.getSpecialDay(id)))
+        .filter(Boolean)
+        .map(entry => entry.name);
+
+    return [label, ...specialDays].join(' ');
+}
+
+// 行動ボタンを表示する（休みの曜日は仕事を選択できない）
+function showActionButtons() {
+    uiController.showActionButtons();
+    uiController.setActionButtonEnabled('work', gameState.isActionAvailable('work'), i18n.t('action.work_closed'));
+}
+
+// 表示言語の初期化
+async function initializeLocale() {
+    const langParam = new URLSearchParams(window.location.search).get('lang');
+    let locale = langParam;
+    if (!locale) {
+        try {
+            locale = await storage.getItem(LOCALE_STORAGE_KEY);
+        } catch (error) {
+            console.warn('言語設定の読み込みに失敗しました:', error);
+        }
+    }
+
+    i18n.setLocale(locale || DEFAULT_LOCALE);
+    uiController.applyTranslations();
+    console.log('表示言語:', i18n.getLocale());
+}
+
+// オートモードの待ち時間の初期化（変更はストレージに保存する）
+async function initializeAutoDelay() {
+    try {
+        const savedDelay = await storage.getItem(AUTO_DELAY_STORAGE_KEY);
+        if (savedDelay !== null) {
+            uiController.setAutoDelay(Number(savedDelay));
+        }
+    } catch (error) {
+        console.warn('オートモードの待ち時間の読み込みに失敗しました:', error);
+    }
+
+    uiController.setAutoDelayListener(async (delay) => {
+        try {
+            await storage.setItem(AUTO_DELAY_STORAGE_KEY, String(delay));
+        } catch (error) {
+            console.warn('オートモードの待ち時間の保存に失敗しました:', error);
+        }
+    });
+}
+
+// 表示言語を変更して保存する
+async function changeLocale(locale) {
+    if (!i18n.setLocale(locale)) {
+        return;
+    }
+
+    uiController.applyTranslations();
+    updateStatusBar();
+    refreshTitleButtons();
+    try {
+        await storage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        console.warn('言語設定の保存に失敗しました:', error);
+    }
+}
+
 // EventSystemの初期化
 async function initializeEventSystem() {
     try {
-        await eventSystem.loadEvents();
+        await eventSystem.loadEvents({ max_days: gameState.config.max_days });
         console.log('イベントシステムの初期化が完了しました');
     } catch (error) {
         console.error('イベントシステムの初期化に失敗しました:', error);
     }
 }
 
+// EndingSystemの初期化
+async function initializeEndingSystem() {
+    try {
+        await endingSystem.loadEndings();
+        console.log('エンディングシステムの初期化が完了しました');
+    } catch (error) {
+        console.error('エンディングシステムの初期化に失敗しました:', error);
+    }
+}
+
+// ShopSystemの初期化
+async function initializeShopSystem() {
+    try {
+        await shopSystem.loadItems();
+        console.log('ショップシステムの初期化が完了しました');
+    } catch (error) {
+        console.error('ショップシステムの初期化に失敗しました:', error);
+    }
+}
+
 // ゲームシステムの初期化
 function initializeGameSystem() {
     console.log('ゲームシステム初期化開始');
@@ -92,10 +342,27 @@ function initializeGameSystem() {
         },
         () => {
             console.log('ゲーム継続');
-            continueGame();
+            openLoadScreen();
+        },
+        () => {
+            console.log('オートセーブから再開');
+            continueGame(AUTOSAVE_SLOT);
         }
     );
 
+    // セーブデータがある場合のみ「続きから」「前回の続きから」を表示
+    refreshTitleButtons();
+
+    // タイトル画面の言語切り替え
+    uiController.setLanguageListener((locale) => changeLocale(locale));
+
+    // システムメニュー（セーブ・ロード・ショップ）のイベントリスナー設定
+    uiController.setSystemMenuListeners(
+        () => openSaveScreen(),
+        () => openLoadScreen(),
+        () => openShopScreen()
+    );
+
     // 行動ボタンのイベントリスナー設定
     uiController.setActionButtonListeners(
         () => handlePlayerAction('play'),
@@ -120,7 +387,10 @@ function initializeGameSystem() {
 
 // 新規ゲーム開始
 function startNewGame() {
-    gameState = new GameState();
+    if (!gameFlow.transition(FLOW_STATES.DAY_START, '新規ゲーム')) {
+        return;
+    }
+    resetGameState();
 
     // 効果音再生
     audioManager.playSFX('select');
@@ -129,33 +399,225 @@ function startNewGame() {
     uiController.showScreen('main');
     audioManager.playBGM('normal');
 
-    uiController.updateStatusBar(gameState.getState());
+    // 1日目の途中で中断しても再開できるよう、開始時点をオートセーブ
+    saveSystem.autosave(createSaveState());
+
+    updateBackground();
+    uiController.displayDialogue(i18n.t('dialogue.game_start'), () => {
+        startChoosing();
+    });
+}
+
+// 行動選択を開始する（日・時間帯の開始メッセージの後）
+function startChoosing() {
+    if (!gameFlow.transition(FLOW_STATES.CHOOSING, '行動選択')) {
+        return;
+    }
+    showActionButtons();
+}
+
+// セーブ用の状態を作成する（GameStateの状態にEventSystemの予約イベントとバックログを加える）
+function createSaveState() {
+    return {
+        ...gameState.getState(),
+        scheduled_events: eventSystem.getScheduledEvents(),
+        backlog: uiController.backlog.getEntries()
+    };
+}
+
+// タイトル画面のセーブ関連ボタンの表示を更新する
+async function refreshTitleButtons() {
+    uiController.setContinueButtonVisibility(await saveSystem.hasSave());
+    uiController.setResumeButton(await saveSystem.getSlotInfo(AUTOSAVE_SLOT));
+}
 
-    uiController.displayDialogue('ゲームを開始します。今日は何をしますか？', () => {
-        uiController.showActionButtons();
+// セーブ画面を開く
+async function openSaveScreen() {
+    // セーブは行動選択中のみ（セーブデータは常にその日・時間帯の開始時点になる）
+    if (!gameFlow.is(FLOW_STATES.CHOOSING)) {
+        return;
+    }
+    uiController.showSaveLoadScreen('save', await saveSystem.listSlots(), async (slotId) => {
+        const saved = await saveSystem.save(slotId, createSaveState());
+        refreshTitleButtons();
+        uiController.hideActionButtons();
+
+        const message = saved ? i18n.t('dialogue.saved', { slot: slotId }) : i18n.t('dialogue.save_failed');
+        uiController.displayDialogue(message, () => {
+            showActionButtons();
+        });
+    });
+}
+
+// ロード画面を開く
+async function openLoadScreen() {
+    const slots = [await saveSystem.getSlotInfo(AUTOSAVE_SLOT), ...await saveSystem.listSlots()];
+    uiController.showSaveLoadScreen('load', slots, (slotId) => {
+        continueGame(slotId);
+    }, null, {
+        exportSlot: (slotId, format) => exportSave(slotId, format),
+        importData: () => uiController.showImportScreen((text) => importSave(text))
+    });
+}
+
+// ショップ画面を開く（購入後は在庫・所持金を反映して再表示する）
+function openShopScreen() {
+    if (!gameFlow.is(FLOW_STATES.CHOOSING)) {
+        return;
+    }
+    const state = gameState.getState();
+    const items = shopSystem.getItems().map(item => {
+        const localized = i18n.localize(item);
+        const check = shopSystem.canPurchase(item, state);
+        return {
+            id: item.id,
+            category: item.category,
+            name: localized.name,
+            description: localized.description,
+            price: item.price,
+            remaining: shopSystem.getRemainingStock(item, state),
+            available: check.ok,
+            reason: check.reason
+        };
     });
+
+    uiController.showShopScreen(items, gameState.money, (itemId) => purchaseItem(itemId));
+}
+
+// 商品を購入する
+function purchaseItem(itemId) {
+    const item = shopSystem.getItem(itemId);
+    if (!item) {
+        console.warn(`商品が見つかりません: ${itemId}`);
+        return;
+    }
+
+    if (!gameFlow.is(FLOW_STATES.CHOOSING)) {
+        console.warn(`現在の進行状態（${gameFlow.getState()}）では購入できません`);
+        return;
+    }
+
+    const check = shopSystem.canPurchase(item, gameState.getState());
+    if (!check.ok || !gameState.purchaseItem(item)) {
+        uiController.showNotification(i18n.t(`shop.${check.reason || 'not_enough_money'}`));
+        return;
+    }
+
+    console.log(`商品を購入しました: ${item.id}`);
+    uiController.showNotification(i18n.t('shop.purchased', { name: i18n.localize(item).name }));
+
+    // 購入は行動選択中に行うため、オートセーブを更新しても「その時間帯の開始時点」のまま
+    saveSystem.autosave(createSaveState());
+    openShopScreen();
+}
+
+// セーブデータをファイルまたはセーブコードとしてエクスポート
+async function exportSave(slotId, format) {
+    const exported = await saveSystem.exportSlot(slotId, format);
+    if (!exported) {
+        uiController.showNotification(i18n.t('notify.export_empty'));
+        return;
+    }
+
+    if (format === 'code') {
+        uiController.showExportCode(exported);
+    } else {
+        uiController.downloadFile(`sisto30_save_${slotId}.json`, exported);
+    }
+}
+
+// セーブデータの読み込みエラーを表示用のメッセージにする
+function getSaveErrorMessage(error) {
+    if (error instanceof SaveDataError) {
+        return i18n.t(error.getMessageKey(), error.params);
+    }
+    return i18n.t('notify.load_failed');
+}
+
+// エクスポートされたセーブデータをインポートして再開
+function importSave(text) {
+    let importedState;
+    try {
+        importedState = saveSystem.importData(text);
+    } catch (error) {
+        console.error('セーブデータのインポートに失敗しました:', error);
+        uiController.showNotification(getSaveErrorMessage(error));
+        return;
+    }
+
+    if (restoreGame(importedState)) {
+        uiController.hideTransferScreen();
+    }
 }
 
 // ゲーム継続
-function continueGame() {
-    // TODO: セーブデータの読み込み処理
+async function continueGame(slotId) {
+    const savedState = await saveSystem.load(slotId);
+    if (!savedState) {
+        console.error(`スロット${slotId}のロードに失敗しました`);
+        uiController.showNotification(i18n.t('notify.load_failed'));
+        return;
+    }
+
+    restoreGame(savedState);
+}
+
+// セーブデータからゲームを再開する
+// 復元できなかった場合は現在のゲーム状態を変更せずにfalseを返す
+function restoreGame(savedState) {
+    // ロードできるのはタイトル画面と行動選択中のみ
+    if (!gameFlow.canTransition(FLOW_STATES.DAY_START)) {
+        console.warn(`現在の進行状態（${gameFlow.getState()}）ではロードできません`);
+        return false;
+    }
+
+    // 検証用のGameStateで復元できることを確認してから、現在のゲーム状態に適用する（古い形式はマイグレーションされる）
+    const loadedState = new GameState({}, new SeededRandom(), endingSystem, calendar);
+    try {
+        loadedState.setState(savedState);
+    } catch (error) {
+        console.error('セーブデータの復元に失敗しました:', error);
+        uiController.showNotification(getSaveErrorMessage(error));
+        return false;
+    }
+    if (!loadedState.validateState()) {
+        console.error('セーブデータの内容が不正です:', savedState);
+        uiController.showNotification(i18n.t('notify.invalid_save'));
+        return false;
+    }
+    gameFlow.transition(FLOW_STATES.DAY_START, 'ロード');
+    gameState.setState(savedState);
+    eventSystem.setScheduledEvents(savedState.scheduled_events || []);
+    if (Array.isArray(savedState.backlog)) {
+        uiController.backlog.setEntries(savedState.backlog);
+    }
 
     // 効果音再生
     audioManager.playSFX('select');
 
     // 画面切り替えとBGM開始
+    uiController.hideActionButtons();
     uiController.showScreen('main');
     audioManager.playBGM('normal');
 
-    uiController.updateStatusBar(gameState.getState());
-
-    uiController.displayDialogue('ゲームを再開します。', () => {
-        uiController.showActionButtons();
+    // セーブは常に行動選択前の時点なので、その日の始めから再開する
+    // 時間帯制の場合はその時間帯の始めから再開する
+    updateBackground();
+    const resumeMessage = gameState.getTimeSlot()
+        ? i18n.t('dialogue.resume_slot', { day: gameState.getState().day, time_slot: getTimeSlotName() })
+        : i18n.t('dialogue.resume', { day: gameState.getState().day });
+    uiController.displayDialogue(resumeMessage, () => {
+        startChoosing();
     });
+    return true;
 }
 
 // プレイヤーの行動処理
 function handlePlayerAction(actionType) {
+    // 二重クリックなどで行動選択中以外に呼ばれた場合は何もしない
+    if (!gameFlow.transition(FLOW_STATES.EVENT_PLAYING, actionType)) {
+        return;
+    }
     console.log(`${actionType}が選択されました`);
 
     // 効果音はUIControllerで既に再生されているので、ここでは不要
@@ -163,109 +625,199 @@ function handlePlayerAction(actionType) {
     // 行動ボタンを無効化
     uiController.hideActionButtons();
 
-    // イベントを選択
-    const event = eventSystem.pickEvent(actionType, gameState.getState().day);
+    // イベントを選択（本文は表示言語の翻訳に置き換える）
+    const event = i18n.localize(eventSystem.pickEvent(actionType, gameState.getState()));
     console.log('選択されたイベント:', event);
+    uiController.setBacklogContext({ event_id: event ? event.id : null });
 
     if (event) {
         console.log('イベントが存在します - イベント処理開始');
+        gameState.recordEvent(event.id);
+        eventSystem.scheduleFollowUps(event, gameState.getState().day);
+
         // イベント効果を計算
         const effects = eventSystem.calculateEventEffects(event);
 
-        // ゲーム状態に行動を適用
-        gameState.applyAction(actionType, effects);
-
         // イベント画面でテキストを表示
         uiController.showScreen('event');
 
-        let textIndex = 0;
-        const showNextText = () => {
-            if (textIndex < event.text.length) {
-                uiController.displayEventText(event.text[textIndex], () => {
-                    textIndex++;
-                    if (textIndex < event.text.length) {
-                        // 次のテキストがある場合
-                        uiController.showEventContinueButton();
-                    } else {
-                        // 全てのテキストを表示完了
-                        // finishDay()はcontinueFromEvent()で呼ばれるので、ここでは呼ばない
-                        console.log('イベントテキスト表示完了');
-                    }
-                });
-            }
-        };
-
-        // イベント継続ボタンのリスナーを更新
-        const eventContinueBtn = document.getElementById('event-continue-btn');
-        if (eventContinueBtn) {
-            eventContinueBtn.onclick = () => {
-                uiController.hideEventContinueButton();
-                showNextText();
-            };
+        if (event.choices && event.choices.length > 0) {
+            // 選択肢のあるイベント：効果は選択した分岐と合わせて適用する
+            // 本文の {delta.*} はイベント本体の増減値で描画する
+            const eventDelta = { money: effects.money_delta, affection: effects.affection_delta, stamina: effects.stamina_delta };
+            playEventText(renderTextLines(event.text, eventDelta), ReadHistory.getKey(event.id), () => {
+                showEventChoices(actionType, event, effects);
+            }, false);
+        } else {
+            // ゲーム状態に行動を適用
+            const delta = applyPlayerAction(actionType, effects);
+            playEventText(renderTextLines(event.text, delta), ReadHistory.getKey(event.id), () => finishAction());
         }
 
-        // 最初のテキストを表示
-        showNextText();
-
     } else {
         console.log('イベントが存在しません - フォールバック処理');
         // イベントがない場合のフォールバック
-        gameState.applyAction(actionType);
+        const delta = applyPlayerAction(actionType);
 
-        const messages = {
-            'play': 'しすと楽しく遊びました！',
-            'work': 'お疲れ様でした！お金を稼ぎました。',
-            'none': '今日は何もしませんでした...'
-        };
+        const messageKey = ['play', 'work', 'none'].includes(actionType) ? `action_result.${actionType}` : 'action_result.other';
 
-        uiController.displayDialogue(messages[actionType] || '何かが起こりました。', () => {
-            finishDay();
+        uiController.displayDialogue(renderText(i18n.t(messageKey), delta), () => {
+            finishAction();
         });
     }
 }
 
+// 行動をゲーム状態に適用し、所持金・好感度・体力の増減を返す（テキストの {delta.*} 用）
+function applyPlayerAction(actionType, effects = {}) {
+    const before = gameState.getState();
+    gameState.applyAction(actionType, effects);
+    const after = gameState.getState();
+
+    return {
+        money: after.money - before.money,
+        affection: after.affection - before.affection,
+        stamina: after.stamina - before.stamina
+    };
+}
+
+// テキストのプレースホルダー・条件分岐を現在のゲーム状態で描画する
+function renderText(text, delta = {}) {
+    return renderTemplate(text, createTextContext(gameState.getState(), delta), { locale: i18n.getFormatLocale() });
+}
+
+// テキストの各行を描画する
+function renderTextLines(lines, delta = {}) {
+    return lines.map(line => renderText(line, delta));
+}
+
+// イベントテキストを1行ずつ表示する
+// 各行の表示後は継続ボタンを待ち、全行を表示したらonCompleteを実行する
+// waitForContinueがfalseの場合、最後の行の表示後は継続ボタンを待たずにonCompleteを実行する
+// 表示した行は readKey（ReadHistory.getKey()）と行番号で既読として記録する（スキップモード用）
+function playEventText(lines, readKey, onComplete, waitForContinue = true) {
+    let textIndex = 0;
+
+    const showNextText = () => {
+        if (textIndex >= lines.length) {
+            eventStep = null;
+            onComplete();
+            return;
+        }
+
+        const lineIndex = textIndex;
+        const isLastLine = lineIndex === lines.length - 1;
+        uiController.displayEventText(lines[lineIndex], () => {
+            readHistory.markRead(readKey, lineIndex);
+            textIndex++;
+            if (isLastLine && !waitForContinue) {
+                uiController.hideEventContinueButton();
+                eventStep = null;
+                onComplete();
+            } else {
+                // 継続ボタンで次の行（または完了処理）へ進む
+                eventStep = showNextText;
+            }
+        }, { read: readHistory.isRead(readKey, lineIndex) });
+    };
+
+    showNextText();
+}
+
+// イベントの選択肢を表示し、選ばれた分岐の効果を適用する
+function showEventChoices(actionType, event, eventEffects) {
+    uiController.showChoices(event.choices.map(choice => renderText(choice.text)), (choiceIndex) => {
+        const choice = event.choices[choiceIndex];
+        console.log('選択肢が選ばれました:', choice.text);
+        eventSystem.scheduleFollowUps(choice, gameState.getState().day);
+
+        // イベント本体と選択肢の効果を合算して行動に適用
+        const choiceEffects = eventSystem.calculateEventEffects(choice);
+        const delta = applyPlayerAction(actionType, eventSystem.combineEffects(eventEffects, choiceEffects));
+
+        playEventText(renderTextLines(choice.response || [], delta), ReadHistory.getKey(event.id, choiceIndex), () => finishAction());
+    });
+}
+
+// 行動を終了する処理
+// 時間帯制の場合は次の時間帯に進み、その日の最後の時間帯の後のみ1日を終了する
+function finishAction() {
+    if (!gameFlow.is(FLOW_STATES.EVENT_PLAYING)) {
+        console.warn(`現在の進行状態（${gameFlow.getState()}）では行動を終了できません`);
+        return;
+    }
+    uiController.setBacklogContext({ event_id: null });
+
+    if (!gameState.advanceSlot()) {
+        finishDay();
+        return;
+    }
+
+    console.log('次の時間帯:', gameState.getTimeSlot());
+    gameFlow.transition(FLOW_STATES.DAY_START, '次の時間帯');
+    startTurn();
+}
+
 // 1日を終了する処理
 function finishDay() {
+    if (!gameFlow.transition(FLOW_STATES.DAY_END, '1日の終了')) {
+        return;
+    }
+
     // 日数を進める
     gameState.incrementDay();
+    console.log('finishDay - 現在のゲーム状態:', gameState.getState());
 
-    // ステータスバーを更新
-    uiController.updateStatusBar(gameState.getState());
-
-    // 現在のゲーム状態を取得
-    const currentState = gameState.getState();
-    console.log('finishDay - 現在のゲーム状態:', currentState);
+    gameFlow.transition(FLOW_STATES.DAY_START, '次の日');
+    startTurn();
+}
 
-    // バッドエンド条件（連続10回何もしない）のチェック
-    if (currentState.consecutive_none >= 10) {
-        console.log('バッドエンド条件達成: 連続何もしない');
-        showEnding('bad_end');
+// 1日または時間帯の始めの処理（エンディング判定の後、行動選択を開始する）
+function startTurn() {
+    if (!gameFlow.is(FLOW_STATES.DAY_START)) {
+        console.warn(`現在の進行状態（${gameFlow.getState()}）では日を開始できません`);
         return;
     }
 
-    // 30日経過時のエンディング判定
-    if (currentState.day >= 30) {
-        console.log('30日経過 - エンディング判定開始');
-        const endingType = gameState.checkEndingCondition();
+    // 現在のゲーム状態を取得
+    const currentState = gameState.getState();
+
+    // エンディング判定（endings.jsonの定義を先頭から評価）
+    const endingType = gameState.checkEndingCondition();
+    if (endingType) {
         console.log('エンディング判定結果:', endingType);
+        gameFlow.transition(FLOW_STATES.ENDING, endingType);
+        // 削除の完了後にタイトル画面の「前回の続きから」を更新する（削除前の表示が残らないようにする）
+        saveSystem.clearAutosave().then(() => refreshTitleButtons());
         showEnding(endingType);
         return;
     }
 
     // ゲーム継続（30日未満）
+    // 新しい日（時間帯）の開始時点をオートセーブ（イベント途中で中断してもこの時点から再開できる）
+    saveSystem.autosave(createSaveState());
+
     console.log('ゲーム継続');
     uiController.showScreen('main');
     audioManager.playBGM('normal');
+    updateBackground();
 
-    const dayMessage = `${currentState.day}日目の朝です。今日は何をしますか？`;
+    const dayMessage = currentState.time_slot
+        ? i18n.t('dialogue.slot_start', { day: currentState.day, time_slot: getTimeSlotName() })
+        : i18n.t('dialogue.day_start', { day: currentState.day });
     uiController.displayDialogue(dayMessage, () => {
-        uiController.showActionButtons();
+        startChoosing();
     });
 }
 
-// イベントから継続
+// イベントから継続（継続ボタン押下時、待機中の次の処理を実行する）
 function continueFromEvent() {
-    finishDay();
+    if (!gameFlow.is(FLOW_STATES.EVENT_PLAYING) || !eventStep) {
+        return;
+    }
+
+    const step = eventStep;
+    eventStep = null;
+    step();
 }
 
 // エンディング表示
@@ -274,28 +826,26 @@ function showEnding(endingType) {
     console.log('エンディングタイプ:', endingType);
     console.log('現在のゲーム状態:', gameState ? gameState.getState() : 'gameState is null');
     
-    const endingTitle = gameState.getEndingName(endingType);
+    // タイトル・本文は表示言語の翻訳に置き換える
+    const ending = i18n.localize(endingSystem.getEnding(endingType));
+    const endingTitle = ending ? ending.title : i18n.t('ending.unknown');
     console.log('エンディングタイトル:', endingTitle);
-    
-    const endingTexts = {
-        'perfect_end': '理想の共存を実現しました！しすとの関係も良好で、夢も叶えることができました。',
-        'money_end': '夢を叶えることができました！目標金額を達成しましたが、しすとの関係はもう少し深められたかもしれません。',
-        'affection_end': 'しすとの心のつながりを深めることができました！お金は目標に届きませんでしたが、大切なものを得られました。',
-        'normal_end': '30日間お疲れ様でした。目標は達成できませんでしたが、それなりに充実した日々でした。',
-        'bad_end': '何もしない日々が続きすぎました...もう少し積極的に行動すれば良かったかもしれません。'
-    };
 
     // エンディングに応じたBGMを再生
-    console.log('BGM再生開始 - エンディングタイトル:', endingTitle);
-    audioManager.playEndingBGM(endingTitle);
+    console.log('BGM再生開始 - エンディング:', endingType);
+    audioManager.playEndingBGM(ending);
 
-    uiController.setEndingContent(endingTitle, endingTexts[endingType] || '');
+    uiController.setEndingContent(endingTitle, ending ? ending.text : '');
     uiController.showScreen('ending');
     console.log('=== showEnding() 完了 ===');
 }
 
 // タイトルに戻る
 function returnToTitle() {
+    if (!gameFlow.transition(FLOW_STATES.TITLE, 'タイトルに戻る')) {
+        return;
+    }
+
     // 効果音再生
     audioManager.playSFX('select');
 
@@ -303,6 +853,6 @@ function returnToTitle() {
     uiController.showScreen('title');
 
     // ゲーム状態をリセット（オプション）
-    gameState = new GameState();
-    uiController.updateStatusBar(gameState.getState());
+    resetGameState();
+    refreshTitleButtons();
 }
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * シード付き乱数生成クラス
+ * 同じシードと同じ行動からは常に同じ結果を再現できるようにする（mulberry32）
+ */
+export class SeededRandom {
+    /**
+     * @param {number|null} seed - シード値（省略時は現在時刻から生成）
+     */
+    constructor(seed = null) {
+        this.setSeed(seed === null ? SeededRandom.generateSeed() : seed);
+    }
+
+    /**
+     * 新しいシード値を生成する
+     * @returns {number} 32bit符号なし整数のシード値
+     */
+    static generateSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+    }
+
+    /**
+     * シード値を設定し、内部状態を初期化する
+     * @param {number} seed - シード値
+     */
+    setSeed(seed) {
+        this.seed = Number(seed) >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * 現在のシード値を取得する
+     * @returns {number} シード値
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * 0以上1未満の乱数を生成する（Math.random()の代替）
+     * @returns {number} 乱数
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * min以上max以下の整数乱数を生成する
+     * @param {number} min - 最小値
+     * @param {number} max - 最大値
+     * @returns {number} 整数乱数
+     */
+    nextInt(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * 乱数生成器の状態を取得する（セーブデータ用）
+     * @returns {Object} シードと内部状態
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+
+    /**
+     * 乱数生成器の状態を復元する（セーブデータ復元用）
+     * @param {Object} randomState - getState()で取得した状態
+     */
+    setState(randomState) {
+        this.setSeed(randomState.seed);
+        if (typeof randomState.state === 'number') {
+            this.state = randomState.state >>> 0;
+        }
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * 既読管理クラス
+ * イベントテキストの既読状態をイベントID（選択肢の分岐は「イベントID#choice番号」）と行番号で記録し、
+ * ストレージに保存してすべてのプレイで共有する（スキップモードで使用する）
+ */
+
+// 既読状態を保存するストレージのキー
+export const READ_HISTORY_STORAGE_KEY = 'sisto30_read_lines';
+
+export class ReadHistory {
+    /**
+     * @param {Object} storage - storage.js のストレージバックエンド
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.lines = {};    // テキストのキー → 既読の行番号の配列
+    }
+
+    /**
+     * ストレージから既読状態を読み込む
+     * @returns {Promise<boolean>} 読み込み成功可否
+     */
+    async load() {
+        try {
+            const saved = await this.storage.getItem(READ_HISTORY_STORAGE_KEY);
+            this.lines = saved ? JSON.parse(saved) : {};
+            return true;
+        } catch (error) {
+            console.error('既読状態の読み込みに失敗しました:', error);
+            this.lines = {};
+            return false;
+        }
+    }
+
+    /**
+     * イベントテキストの既読状態を記録するキーを作成する
+     * @param {string} eventId - イベントID
+     * @param {number|null} choiceIndex - 選択肢の分岐の番号（イベント本文の場合はnull）
+     * @returns {string} キー
+     */
+    static getKey(eventId, choiceIndex = null) {
+        return choiceIndex === null ? eventId : `${eventId}#choice${choiceIndex}`;
+    }
+
+    /**
+     * 行が既読か確認する
+     * @param {string} key - getKey()で作成したキー
+     * @param {number} lineIndex - 行番号（0始まり）
+     * @returns {boolean} 既読かどうか
+     */
+    isRead(key, lineIndex) {
+        return (this.lines[key] || []).includes(lineIndex);
+    }
+
+    /**
+     * 行を既読にしてストレージに保存する
+     * @param {string} key - getKey()で作成したキー
+     * @param {number} lineIndex - 行番号（0始まり）
+     * @returns {Promise<void>}
+     */
+    async markRead(key, lineIndex) {
+        if (this.isRead(key, lineIndex)) {
+            return;
+        }
+
+        this.lines[key] = [...(this.lines[key] || []), lineIndex];
+        try {
+            await this.storage.setItem(READ_HISTORY_STORAGE_KEY, JSON.stringify(this.lines));
+        } catch (error) {
+            console.error('既読状態の保存に失敗しました:', error);
+        }
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * セーブデータの読み込みエラークラス
+ * 表示用のメッセージは言語ファイルの 'notify.save_error.<code>' から取得する（message はログ用）
+ */
+
+// エラーコード
+export const SAVE_ERROR_CODES = {
+    EMPTY: 'empty',                            // インポートするデータが空
+    MALFORMED: 'malformed',                    // JSON・セーブコードとして読めない
+    WRONG_FORMAT: 'wrong_format',              // このゲームのセーブデータではない
+    CHECKSUM_MISMATCH: 'checksum_mismatch',    // チェックサムが一致しない（改ざん・破損）
+    TOO_NEW: 'too_new',                        // 実行中のコードより新しいバージョン
+    MISSING_MIGRATION: 'missing_migration'     // マイグレーションが存在しない
+};
+
+export class SaveDataError extends Error {
+    /**
+     * @param {string} code - エラーコード（SAVE_ERROR_CODES）
+     * @param {string} message - ログ用のメッセージ
+     * @param {Object} params - 表示用メッセージに差し込む値
+     */
+    constructor(code, message, params = {}) {
+        super(message);
+        this.name = 'SaveDataError';
+        this.code = code;
+        this.params = params;
+    }
+
+    /**
+     * 表示用メッセージの言語ファイルのキーを取得する
+     * @returns {string} メッセージキー
+     */
+    getMessageKey() {
+        return `notify.save_error.${this.code}`;
+    }
+}
@@ -0,0 +1,131 @@
+import { SaveDataError, SAVE_ERROR_CODES } from './saveDataError.js';
+
+/**
+ * セーブデータのバージョン管理とマイグレーション
+ * migrations[N] はバージョンNの状態を受け取り、バージョンN+1の状態を返す純粋関数
+ * 状態にフィールドを追加したときは SAVE_VERSION を上げ、対応するマイグレーションを登録する
+ */
+
+// 現在のセーブデータ形式のバージョン
+export const SAVE_VERSION = 8;
+
+export const migrations = {
+    /**
+     * v0 → v1: バージョン導入前のセーブデータ
+     * 欠けているフィールドを明示的な初期値で埋める（乱数シードがない場合は新しいシードで続行する）
+     */
+    0: (state) => ({
+        ...state,
+        day: state.day || 1,
+        money: state.money || 0,
+        consecutive_none: state.consecutive_none || 0,
+        config: state.config || {},
+        version: 1
+    }),
+
+    /**
+     * v1 → v2: イベント発生履歴（一度きり・クールダウン条件用）を追加
+     */
+    1: (state) => ({
+        ...state,
+        event_history: state.event_history || {},
+        version: 2
+    }),
+
+    /**
+     * v2 → v3: ストーリーフラグ（イベントの選択肢で設定）を追加
+     */
+    2: (state) => ({
+        ...state,
+        flags: state.flags || {},
+        version: 3
+    }),
+
+    /**
+     * v3 → v4: ストーリー変数（カウンター）を追加
+     */
+    3: (state) => ({
+        ...state,
+        counters: state.counters || {},
+        version: 4
+    }),
+
+    /**
+     * v4 → v5: EventSystemの予約イベントキューを追加
+     */
+    4: (state) => ({
+        ...state,
+        scheduled_events: state.scheduled_events || [],
+        version: 5
+    }),
+
+    /**
+     * v5 → v6: 1日の時間帯を追加
+     * 時間帯制の導入前は1日1回の行動なので、連続何もしない回数はそのまま行動回数になる
+     */
+    5: (state) => ({
+        ...state,
+        slot: state.slot || 0,
+        consecutive_none_slots: state.consecutive_none || 0,
+        version: 6
+    }),
+
+    /**
+     * v6 → v7: 体力を追加（GameStateの初期体力の既定値で開始する）
+     */
+    6: (state) => ({
+        ...state,
+        stamina: state.stamina !== undefined ? state.stamina : 100,
+        version: 7
+    }),
+
+    /**
+     * v7 → v8: ショップの購入履歴を追加
+     */
+    7: (state) => ({
+        ...state,
+        purchases: state.purchases || {},
+        version: 8
+    })
+};
+
+/**
+ * 状態オブジェクトのバージョンを取得する
+ * @param {Object} state - ゲーム状態
+ * @returns {number} バージョン（未設定の場合は0）
+ */
+export function getStateVersion(state) {
+    return typeof state.version === 'number' ? state.version : 0;
+}
+
+/**
+ * 状態オブジェクトを現在のバージョンまでマイグレーションする
+ * @param {Object} state - 保存されていたゲーム状態
+ * @returns {Object} 現在のバージョンに変換された状態
+ * @throws {SaveDataError} セーブデータが実行中のコードより新しい場合、またはマイグレーションが存在しない場合
+ */
+export function migrateState(state) {
+    let version = getStateVersion(state);
+
+    if (version > SAVE_VERSION) {
+        throw new SaveDataError(SAVE_ERROR_CODES.TOO_NEW,
+            `セーブデータのバージョン（v${version}）がこのゲーム（v${SAVE_VERSION}）より新しいため読み込めません`,
+            { version, current: SAVE_VERSION });
+    }
+
+    let migrated = state;
+    while (version < SAVE_VERSION) {
+        const migrate = migrations[version];
+        if (!migrate) {
+            throw new SaveDataError(SAVE_ERROR_CODES.MISSING_MIGRATION,
+                `セーブデータのマイグレーション（v${version} → v${version + 1}）が見つかりません`,
+                { version });
+        }
+
+        migrated = migrate(migrated);
+        version++;
+        console.log(`セーブデータをv${version}に変換しました`);
+    }
+
+    return migrated;
+}
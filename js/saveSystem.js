@@ -0,0 +1,344 @@
+import { SaveDataError, SAVE_ERROR_CODES } from './saveDataError.js';
+
+// オートセーブ専用スロットのID
+export const AUTOSAVE_SLOT = 'auto';
+
+// エクスポートデータの識別子
+const EXPORT_FORMAT = 'sisto30-save';
+
+/**
+ * セーブ・ロードシステムクラス
+ * ストレージバックエンドの複数スロットにゲーム状態とメタデータを保存・読み込みする
+ * 書き込みは一時キー経由で行い、書き込み途中のデータが正常なセーブを上書きしないようにする
+ */
+export class SaveSystem {
+    /**
+     * @param {Object} storage - ストレージバックエンド（storage.js）
+     * @param {Object} options - セーブ設定
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.config = Object.assign({
+            slot_count: 3,                 // セーブスロット数
+            key_prefix: 'sisto30_save_'    // ストレージのキー接頭辞
+        }, options);
+    }
+
+    /**
+     * スロットIDに対応するストレージのキーを取得する
+     * @param {number|string} slotId - スロットID
+     * @returns {string} ストレージのキー
+     */
+    getSlotKey(slotId) {
+        return `${this.config.key_prefix}${slotId}`;
+    }
+
+    /**
+     * スロットIDの一覧を取得する
+     * @returns {Array<number>} スロットID配列（1始まり）
+     */
+    getSlotIds() {
+        return Array.from({ length: this.config.slot_count }, (_, index) => index + 1);
+    }
+
+    /**
+     * ゲーム状態をスロットに保存する
+     * @param {number|string} slotId - スロットID
+     * @param {Object} state - GameState.getState()で取得した状態
+     * @returns {Promise<boolean>} 保存成功可否
+     */
+    async save(slotId, state) {
+        try {
+            const slotData = this.createSlotData(state);
+            await this.writeSlot(slotId, slotData);
+            console.log(`スロット${slotId}にセーブしました:`, slotData.summary);
+            return true;
+        } catch (error) {
+            console.error(`スロット${slotId}へのセーブに失敗しました:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * オートセーブを行う
+     * @param {Object} state - GameState.getState()で取得した状態
+     * @returns {Promise<boolean>} 保存成功可否
+     */
+    autosave(state) {
+        return this.save(AUTOSAVE_SLOT, state);
+    }
+    
+    /**
+     * オートセーブが存在するか確認する
+     * @returns {Promise<boolean>} オートセーブが存在するかどうか
+     */
+    async hasAutosave() {
+        return (await this.readSlot(AUTOSAVE_SLOT)) !== null;
+    }
+    
+    /**
+     * オートセーブを削除する（エンディング到達時など）
+     * @returns {Promise<void>}
+     */
+    async clearAutosave() {
+        await this.deleteSlot(AUTOSAVE_SLOT);
+    }
+    
+    /**
+     * スロットデータを安全に書き込む（内部メソッド）
+     * 一時キーへの書き込みと検証が成功した場合のみ本体を置き換え、直前のデータはバックアップとして残す
+     * @param {number|string} slotId - スロットID
+     * @param {Object} slotData - スロットデータ
+     */
+    async writeSlot(slotId, slotData) {
+        const key = this.getSlotKey(slotId);
+        const json = JSON.stringify(slotData);
+        
+        // 一時キーに書き込み、読み戻して検証する
+        await this.storage.setItem(`${key}_tmp`, json);
+        if ((await this.storage.getItem(`${key}_tmp`)) !== json) {
+            throw new Error('一時セーブデータの検証に失敗しました');
+        }
+        
+        // 現在の正常なデータをバックアップしてから本体を置き換える
+        const current = await this.storage.getItem(key);
+        if (current && this.parseSlotData(current)) {
+            await this.storage.setItem(`${key}_backup`, current);
+        }
+        await this.storage.setItem(key, json);
+        await this.storage.removeItem(`${key}_tmp`);
+    }
+
+    /**
+     * スロットからゲーム状態を読み込む
+     * @param {number|string} slotId - スロットID
+     * @returns {Promise<Object|null>} 保存されていたゲーム状態
+     */
+    async load(slotId) {
+        const slotData = await this.readSlot(slotId);
+        if (!slotData) {
+            console.warn(`スロット${slotId}にセーブデータがありません`);
+            return null;
+        }
+
+        console.log(`スロット${slotId}からロードしました:`, slotData.summary);
+        return slotData.state;
+    }
+
+    /**
+     * スロットの生データを読み込む（内部メソッド）
+     * @param {number|string} slotId - スロットID
+     * @returns {Promise<Object|null>} スロットデータ
+     */
+    async readSlot(slotId) {
+        const key = this.getSlotKey(slotId);
+        
+        try {
+            const json = await this.storage.getItem(key);
+            if (!json) {
+                return null;
+            }
+
+            const slotData = this.parseSlotData(json);
+            if (slotData) {
+                return slotData;
+            }
+
+            // 本体が壊れている場合はバックアップから復旧する
+            console.warn(`スロット${slotId}のデータが破損しています - バックアップを使用します`);
+            return this.parseSlotData(await this.storage.getItem(`${key}_backup`));
+        } catch (error) {
+            console.error(`スロット${slotId}の読み込みに失敗しました:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * JSON文字列をスロットデータとして解析する（内部メソッド）
+     * @param {string|null} json - JSON文字列
+     * @returns {Object|null} スロットデータ（不正な場合はnull）
+     */
+    parseSlotData(json) {
+        if (!json) {
+            return null;
+        }
+        
+        try {
+            const slotData = JSON.parse(json);
+            return slotData && slotData.state ? slotData : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * スロットを削除する
+     * @param {number|string} slotId - スロットID
+     */
+    async deleteSlot(slotId) {
+        try {
+            const key = this.getSlotKey(slotId);
+            await this.storage.removeItem(key);
+            await this.storage.removeItem(`${key}_backup`);
+            await this.storage.removeItem(`${key}_tmp`);
+        } catch (error) {
+            console.error(`スロット${slotId}の削除に失敗しました:`, error);
+        }
+    }
+
+    /**
+     * スロットのメタデータを取得する
+     * @param {number|string} slotId - スロットID
+     * @returns {Promise<Object>} スロット情報（空きスロットの場合はempty: true）
+     */
+    async getSlotInfo(slotId) {
+        const slotData = await this.readSlot(slotId);
+        if (!slotData) {
+            return { slot: slotId, empty: true };
+        }
+
+        return {
+            slot: slotId,
+            empty: false,
+            timestamp: slotData.timestamp,
+            day: slotData.day,
+            affection: slotData.state.affection,
+            money: slotData.state.money,
+            ending_progress: slotData.ending_progress,
+            summary: slotData.summary
+        };
+    }
+
+    /**
+     * 全スロットのメタデータを取得する
+     * @returns {Promise<Array<Object>>} スロット情報の配列
+     */
+    listSlots() {
+        return Promise.all(this.getSlotIds().map(slotId => this.getSlotInfo(slotId)));
+    }
+
+    /**
+     * セーブデータ（オートセーブを含む）が1つでも存在するか確認する
+     * @returns {Promise<boolean>} セーブデータが存在するかどうか
+     */
+    async hasSave() {
+        if (await this.hasAutosave()) {
+            return true;
+        }
+        return (await this.listSlots()).some(info => !info.empty);
+    }
+
+    /**
+     * ゲーム状態から保存用スロットデータを作成する
+     * @param {Object} state - GameState.getState()で取得した状態
+     * @returns {Object} スロットデータ
+     */
+    createSlotData(state) {
+        return {
+            state: state,
+            timestamp: Date.now(),
+            day: state.day,
+            ending_progress: this.calculateEndingProgress(state),
+            summary: this.createSummary(state)
+        };
+    }
+
+    /**
+     * エンディング条件への到達度を計算する
+     * @param {Object} state - ゲーム状態
+     * @returns {Object} 各条件の達成率（0-100）
+     */
+    calculateEndingProgress(state) {
+        const config = state.config || {};
+        const toPercent = (value, goal) => goal > 0 ? Math.min(100, Math.floor(value / goal * 100)) : 0;
+
+        return {
+            money: toPercent(state.money, config.goal_money),
+            affection: toPercent(state.affection, config.affection_threshold),
+            days: toPercent(state.day, config.max_days)
+        };
+    }
+
+    /**
+     * スロット一覧に表示する概要文を作成する
+     * @param {Object} state - ゲーム状態
+     * @returns {string} 概要文
+     */
+    createSummary(state) {
+        return `${state.day}日目 / 好感度 ${state.affection} / 所持金 ${state.money.toLocaleString()}円`;
+    }
+
+    /**
+     * スロットのセーブデータをエクスポートする
+     * @param {number|string} slotId - スロットID
+     * @param {string} format - 'json'（ファイル用）または 'code'（base64のセーブコード）
+     * @returns {Promise<string|null>} エクスポート文字列（スロットが空の場合はnull）
+     */
+    async exportSlot(slotId, format = 'json') {
+        const slotData = await this.readSlot(slotId);
+        if (!slotData) {
+            console.warn(`スロット${slotId}にエクスポートできるデータがありません`);
+            return null;
+        }
+
+        const exportData = {
+            format: EXPORT_FORMAT,
+            checksum: this.calculateChecksum(JSON.stringify(slotData)),
+            data: slotData
+        };
+        const json = JSON.stringify(exportData);
+
+        if (format === 'code') {
+            return btoa(unescape(encodeURIComponent(json)));
+        }
+        return JSON.stringify(exportData, null, 2);
+    }
+
+    /**
+     * エクスポートされたセーブデータを読み込み、チェックサムを検証する
+     * @param {string} text - JSON文字列またはセーブコード
+     * @returns {Object} セーブされていたゲーム状態（GameState.setState()で復元する）
+     * @throws {SaveDataError} 形式が不正な場合、またはチェックサムが一致しない場合
+     */
+    importData(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) {
+            throw new SaveDataError(SAVE_ERROR_CODES.EMPTY, 'インポートするデータが空です');
+        }
+
+        let exportData;
+        try {
+            // JSONファイルでなければセーブコード（base64）として扱う
+            const json = trimmed.startsWith('{') ? trimmed : decodeURIComponent(escape(atob(trimmed)));
+            exportData = JSON.parse(json);
+        } catch (error) {
+            throw new SaveDataError(SAVE_ERROR_CODES.MALFORMED, 'セーブデータの形式が不正です（破損している可能性があります）');
+        }
+
+        if (!exportData || exportData.format !== EXPORT_FORMAT || !exportData.data || !exportData.data.state) {
+            throw new SaveDataError(SAVE_ERROR_CODES.WRONG_FORMAT, 'このゲームのセーブデータではありません');
+        }
+
+        const checksum = this.calculateChecksum(JSON.stringify(exportData.data));
+        if (checksum !== exportData.checksum) {
+            throw new SaveDataError(SAVE_ERROR_CODES.CHECKSUM_MISMATCH, 'セーブデータのチェックサムが一致しません（改ざんまたは破損しています）');
+        }
+
+        console.log('セーブデータをインポートしました:', exportData.data.summary);
+        return exportData.data.state;
+    }
+
+    /**
+     * 文字列のチェックサムを計算する（FNV-1a 32bit）
+     * @param {string} text - 対象文字列
+     * @returns {string} 16進数8桁のチェックサム
+     */
+    calculateChecksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * ショップシステムクラス
+ * JSONから商品定義を読み込み、在庫・所持金に応じて購入できるかどうかを判定する
+ * 購入による所持金・在庫・効果の反映は GameState.purchaseItem() で行う
+ */
+
+// 商品のカテゴリ（表示順）
+export const SHOP_CATEGORIES = ['gift', 'outing', 'upgrade'];
+
+export class ShopSystem {
+    constructor() {
+        this.items = this.getFallbackItems();
+        this.isLoaded = false;
+    }
+
+    /**
+     * JSONファイルから商品定義を読み込む
+     * @returns {Promise<boolean>} 読み込み成功可否
+     */
+    async loadItems() {
+        try {
+            const response = await fetch('./assets/data/shop.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!Array.isArray(data.items)) {
+                throw new Error('商品定義の items が配列ではありません');
+            }
+
+            const invalid = data.items.find(item =>
+                !item.id || !SHOP_CATEGORIES.includes(item.category) ||
+                typeof item.price !== 'number' || item.price < 0);
+            if (invalid) {
+                throw new Error(`商品定義が不正です: ${JSON.stringify(invalid)}`);
+            }
+
+            this.items = data.items;
+            this.isLoaded = true;
+
+            console.log(`商品定義を読み込みました: ${this.items.length}件`);
+            return true;
+        } catch (error) {
+            console.error('商品定義の読み込みに失敗しました:', error);
+
+            // フォールバックデータを使用
+            this.items = this.getFallbackItems();
+            this.isLoaded = true;
+            console.warn('フォールバック商品定義を使用します');
+            return false;
+        }
+    }
+
+    /**
+     * IDに対応する商品定義を取得する
+     * @param {string} itemId - 商品ID
+     * @returns {Object|null} 商品定義
+     */
+    getItem(itemId) {
+        return this.items.find(item => item.id === itemId) || null;
+    }
+
+    /**
+     * 全商品定義をカテゴリ順に取得する
+     * @returns {Array<Object>} 商品定義の配列
+     */
+    getItems() {
+        return [...this.items].sort((a, b) =>
+            SHOP_CATEGORIES.indexOf(a.category) - SHOP_CATEGORIES.indexOf(b.category));
+    }
+
+    /**
+     * 商品の残り在庫数を取得する
+     * @param {Object} item - 商品定義
+     * @param {Object} state - GameState.getState()で取得したゲーム状態
+     * @returns {number|null} 残り在庫数（在庫制限がない場合はnull）
+     */
+    getRemainingStock(item, state) {
+        if (item.stock === undefined || item.stock === null) {
+            return null;
+        }
+        const purchased = (state.purchases && state.purchases[item.id]) || 0;
+        return Math.max(0, item.stock - purchased);
+    }
+
+    /**
+     * 商品を購入できるかどうかを判定する
+     * @param {Object} item - 商品定義
+     * @param {Object} state - GameState.getState()で取得したゲーム状態
+     * @returns {{ok: boolean, reason: string|null}} 判定結果（reason は 'sold_out' または 'not_enough_money'）
+     */
+    canPurchase(item, state) {
+        if (this.getRemainingStock(item, state) === 0) {
+            return { ok: false, reason: 'sold_out' };
+        }
+        if (state.money < item.price) {
+            return { ok: false, reason: 'not_enough_money' };
+        }
+        return { ok: true, reason: null };
+    }
+
+    /**
+     * フォールバック商品定義を取得する（assets/data/shop.json と同じ内容）
+     * @returns {Array<Object>} 商品定義の配列
+     */
+    getFallbackItems() {
+        return [
+            {
+                id: 'gift_flowers',
+                category: 'gift',
+                name: '花束',
+                description: 'しすへのちょっとしたプレゼント。',
+                price: 3000,
+                stock: null,
+                effects: { affection_delta: 3 },
+                translations: { en: { name: 'Bouquet', description: 'A small present for Shisu.' } }
+            },
+            {
+                id: 'gift_accessory',
+                category: 'gift',
+                name: 'アクセサリー',
+                description: 'しすが前から欲しがっていたネックレス。',
+                price: 15000,
+                stock: 2,
+                effects: { affection_delta: 8, set_flags: { gave_accessory: true } },
+                translations: { en: { name: 'Accessory', description: 'The necklace Shisu has wanted for a while.' } }
+            },
+            {
+                id: 'outing_amusement_park',
+                category: 'outing',
+                name: '遊園地のチケット',
+                description: '一緒に遊園地へ。楽しいけれど少し疲れる。',
+                price: 10000,
+                stock: 3,
+                effects: { affection_delta: 6, stamina_delta: -10, increment_counters: { outings: 1 } },
+                translations: { en: { name: 'Amusement Park Tickets', description: 'A day at the amusement park together. Fun, but a little tiring.' } }
+            },
+            {
+                id: 'outing_hot_spring',
+                category: 'outing',
+                name: '温泉旅行',
+                description: '二人で温泉へ。心も体も癒される。',
+                price: 20000,
+                stock: 1,
+                effects: { affection_delta: 5, stamina_delta: 50, increment_counters: { outings: 1 } },
+                translations: { en: { name: 'Hot Spring Trip', description: 'A trip to a hot spring for two. Refreshes body and mind.' } }
+            },
+            {
+                id: 'upgrade_laptop',
+                category: 'upgrade',
+                name: '新しいノートパソコン',
+                description: '仕事がはかどり、収入が増える。',
+                price: 30000,
+                stock: 1,
+                effects: { config_delta: { work_base_income: 800 } },
+                translations: { en: { name: 'New Laptop', description: 'Work goes faster and your income increases.' } }
+            },
+            {
+                id: 'upgrade_bed',
+                category: 'upgrade',
+                name: '良いベッド',
+                description: 'よく眠れるようになり、休んだときの体力の回復量が増える。',
+                price: 12000,
+                stock: 1,
+                effects: { config_delta: { none_stamina_recovery: 15 } },
+                translations: { en: { name: 'Good Bed', description: 'You sleep better and recover more stamina when resting.' } }
+            }
+        ];
+    }
+}
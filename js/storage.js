@@ -0,0 +1,152 @@
+/**
+ * ストレージバックエンド
+ * セーブデータや設定などの永続化はすべてこの非同期インターフェースを経由する
+ *
+ * 共通インターフェース:
+ *   getItem(key)        : Promise<string|null>
+ *   setItem(key, value) : Promise<void>
+ *   removeItem(key)     : Promise<void>
+ */
+
+/**
+ * メモリ上のストレージ（テスト・ヘッドレス実行用、ページを閉じると消える）
+ */
+export class MemoryStorageBackend {
+    constructor() {
+        this.type = 'memory';
+        this.items = new Map();
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * localStorageを使用するストレージ
+ */
+export class LocalStorageBackend {
+    constructor() {
+        this.type = 'localStorage';
+    }
+
+    async getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        localStorage.setItem(key, String(value));
+    }
+
+    async removeItem(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * IndexedDBを使用するストレージ（容量制限が緩く、メインスレッドをブロックしない）
+ */
+export class IndexedDBStorageBackend {
+    /**
+     * @param {string} databaseName - データベース名
+     * @param {string} storeName - オブジェクトストア名
+     */
+    constructor(databaseName = 'sisto30', storeName = 'keyvalue') {
+        this.type = 'indexedDB';
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.databasePromise = null;
+    }
+
+    /**
+     * データベースを開く（初回のみ、以降は同じ接続を再利用する）
+     * @returns {Promise<IDBDatabase>} データベース接続
+     */
+    open() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.databasePromise;
+    }
+
+    /**
+     * オブジェクトストアへのリクエストを実行する（内部メソッド）
+     * @param {string} mode - 'readonly' または 'readwrite'
+     * @param {Function} createRequest - ストアを受け取りIDBRequestを返す関数
+     * @returns {Promise<*>} リクエストの結果
+     */
+    async request(mode, createRequest) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this.request('readwrite', store => store.put(String(value), key));
+    }
+
+    async removeItem(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * 使用するストレージバックエンドを作成する
+ * 'auto' の場合は IndexedDB → localStorage → メモリ の順に利用可能なものを選ぶ
+ * @param {string} type - 'auto', 'indexedDB', 'localStorage', 'memory'
+ * @returns {Promise<Object>} ストレージバックエンド
+ */
+export async function createStorage(type = 'auto') {
+    const candidates = type === 'auto' ? ['indexedDB', 'localStorage', 'memory'] : [type, 'memory'];
+
+    for (const candidate of candidates) {
+        try {
+            if (candidate === 'indexedDB' && typeof indexedDB !== 'undefined') {
+                const storage = new IndexedDBStorageBackend();
+                await storage.open();
+                return storage;
+            }
+
+            if (candidate === 'localStorage' && typeof localStorage !== 'undefined') {
+                // プライベートブラウズ等で書き込めない場合があるため実際に試す
+                const testKey = '__storage_test__';
+                localStorage.setItem(testKey, testKey);
+                localStorage.removeItem(testKey);
+                return new LocalStorageBackend();
+            }
+
+            if (candidate === 'memory') {
+                return new MemoryStorageBackend();
+            }
+        } catch (error) {
+            console.warn(`ストレージ "${candidate}" を使用できません:`, error);
+        }
+    }
+
+    return new MemoryStorageBackend();
+}
@@ -0,0 +1,191 @@
+import { parseExpression, evaluateCondition } from './conditionExpression.js';
+
+/**
+ * イベントテキストのテンプレート
+ * テキスト中のプレースホルダーをゲーム状態の値に置き換えて表示用の文字列を作成する
+ *
+ * 対応する構文:
+ *   {money} {affection} {stamina} {day} {player_name} など（TEMPLATE_VARIABLES）
+ *   {delta.money} {delta.affection} {delta.stamina}（直前の行動による増減、符号付き）
+ *   {flags.名前} {counters.名前}
+ *   {if 条件式}…{/if}（条件式は conditionExpression.js と同じ構文、入れ子可）
+ */
+
+// 使用できるプレースホルダー
+export const TEMPLATE_VARIABLES = [
+    'money', 'affection', 'stamina', 'day', 'consecutive_none', 'player_name',
+    'delta.money', 'delta.affection', 'delta.stamina'
+];
+
+// 名前を自由に付けられるプレースホルダーの接頭辞
+const TEMPLATE_PREFIXES = ['flags.', 'counters.'];
+
+const TAG_PATTERN = /\{(\/if|if\s+[^{}]+|[A-Za-z_][A-Za-z0-9_.]*)\}/g;
+
+/**
+ * プレースホルダー名が使用できるものか判定する
+ * @param {string} name - プレースホルダー名
+ * @returns {boolean} 使用できるかどうか
+ */
+export function isKnownVariable(name) {
+    return TEMPLATE_VARIABLES.includes(name) ||
+        TEMPLATE_PREFIXES.some(prefix => name.startsWith(prefix) && name.length > prefix.length);
+}
+
+/**
+ * テンプレートを構文木に変換する
+ * @param {string} text - テンプレート文字列
+ * @returns {Array<Object>} 構文木のノード配列
+ * @throws {Error} {if} と {/if} の対応が取れていない場合
+ */
+export function parseTemplate(text) {
+    const root = [];
+    const stack = [{ children: root }];
+    let lastIndex = 0;
+
+    for (const match of String(text).matchAll(TAG_PATTERN)) {
+        const current = stack[stack.length - 1];
+        if (match.index > lastIndex) {
+            current.children.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const tag = match[1];
+        if (tag === '/if') {
+            if (stack.length === 1) {
+                throw new Error(`対応する {if} のない {/if} があります: ${text}`);
+            }
+            stack.pop();
+        } else if (/^if\s/.test(tag)) {
+            const node = { type: 'if', expression: tag.slice(2).trim(), children: [] };
+            current.children.push(node);
+            stack.push(node);
+        } else {
+            current.children.push({ type: 'variable', name: tag });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`{if} が {/if} で閉じられていません: ${text}`);
+    }
+    if (lastIndex < String(text).length) {
+        root.push({ type: 'text', value: String(text).slice(lastIndex) });
+    }
+    return root;
+}
+
+/**
+ * 値を表示用の文字列に変換する（内部関数）
+ * @param {string} name - プレースホルダー名
+ * @param {*} value - 値
+ * @param {string} locale - 数値の書式に使用するロケール
+ * @returns {string} 表示用の文字列
+ */
+function formatValue(name, value, locale) {
+    if (typeof value === 'number') {
+        // 増減値は「+500」「-3」のように符号を付ける
+        return name.startsWith('delta.')
+            ? value.toLocaleString(locale, { signDisplay: 'exceptZero' })
+            : value.toLocaleString(locale);
+    }
+    return String(value);
+}
+
+/**
+ * 構文木のノード配列を文字列にする（内部関数）
+ * @param {Array<Object>} nodes - ノード配列
+ * @param {Object} context - 値の参照先
+ * @param {string} locale - 数値の書式に使用するロケール
+ * @returns {string} 表示用の文字列
+ */
+function renderNodes(nodes, context, locale) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'variable': {
+                const value = node.name.split('.').reduce(
+                    (current, key) => (current === undefined || current === null) ? undefined : current[key], context);
+                if (value === undefined || value === null) {
+                    console.warn(`テキストのプレースホルダー {${node.name}} の値がありません`);
+                    return `{${node.name}}`;
+                }
+                return formatValue(node.name, value, locale);
+            }
+            case 'if':
+                return evaluateCondition(node.expression, context) ? renderNodes(node.children, context, locale) : '';
+        }
+        return '';
+    }).join('');
+}
+
+/**
+ * テンプレートを描画する
+ * 構文エラーの場合は警告を出して元の文字列をそのまま返す
+ * @param {string} text - テンプレート文字列
+ * @param {Object} context - 値の参照先（createTextContext()で作成）
+ * @param {Object} options - 描画設定
+ * @param {string} options.locale - 数値の書式に使用するロケール（デフォルト: 'ja-JP'）
+ * @returns {string} 表示用の文字列
+ */
+export function renderTemplate(text, context, options = {}) {
+    const locale = options.locale || 'ja-JP';
+    try {
+        return renderNodes(parseTemplate(text), context, locale);
+    } catch (error) {
+        console.warn('テキストテンプレートを描画できません:', error);
+        return text;
+    }
+}
+
+/**
+ * ゲーム状態からテンプレートの参照先を作成する
+ * @param {Object} state - GameState.getState()で取得したゲーム状態
+ * @param {Object} delta - 直前の行動による増減（money, affection, stamina）
+ * @returns {Object} テンプレートの参照先
+ */
+export function createTextContext(state, delta = {}) {
+    return {
+        ...state,
+        player_name: state.config && state.config.player_name,
+        flags: state.flags || {},
+        counters: state.counters || {},
+        config: state.config || {},
+        delta: {
+            money: delta.money || 0,
+            affection: delta.affection || 0,
+            stamina: delta.stamina || 0
+        }
+    };
+}
+
+/**
+ * テンプレートの問題を検出する（eventValidator から使用する）
+ * @param {string} text - テンプレート文字列
+ * @returns {Array<string>} 問題の説明の配列
+ */
+export function findTemplateProblems(text) {
+    const problems = [];
+    let nodes;
+    try {
+        nodes = parseTemplate(text);
+    } catch (error) {
+        return [error.message];
+    }
+
+    const visit = (list) => list.forEach(node => {
+        if (node.type === 'variable' && !isKnownVariable(node.name)) {
+            problems.push(`不明なプレースホルダー {${node.name}} があります`);
+        } else if (node.type === 'if') {
+            try {
+                parseExpression(node.expression);
+            } catch (error) {
+                problems.push(error.message);
+            }
+            visit(node.children);
+        }
+    });
+    visit(nodes);
+
+    return problems;
+}
@@ -1,18 +1,42 @@
+import { I18n } from './i18n.js';
+import { Backlog } from './backlog.js';
+
 /**
  * UI制御システム
  * 4つの画面（タイトル、メイン、イベント、エンディング）の表示制御
  * ステータスバーの表示と更新機能
  * 行動ボタンとインタラクション機能
  * タイプライター効果とテキスト表示
+ * セーブ・ロード画面とシステムメニュー
+ * セーブデータのエクスポート・インポート
+ * イベント中の選択肢
+ * 表示言語の切り替え（文言は I18n から取得）
+ * バックログ（表示したテキストの履歴）
+ * オートモード・スキップモード（既読テキストの早送り）
  */
 
+// オートモードの待ち時間の選択肢（ミリ秒）
+const AUTO_DELAYS = [1000, 2000, 3000];
+
+// スキップモードでテキストを送る間隔（ミリ秒）
+const SKIP_INTERVAL = 100;
+
 class UIController {
-    constructor(audioManager = null) {
+    constructor(audioManager = null, i18n = new I18n()) {
         this.currentScreen = 'title';
         this.typewriterSpeed = 50; // ミリ秒
         this.isTypewriting = false;
         this.typewriterCallback = null;
         this.audioManager = audioManager;
+        this.i18n = i18n;
+        this.backlog = new Backlog();
+        this.backlogContext = { day: 1, event_id: null }; // バックログに記録する日・イベントID
+        this.autoMode = false;         // テキスト表示後、待ち時間の後に自動で進める
+        this.skipMode = false;         // 既読テキストを早送りする（未読のテキスト・選択肢で止まる）
+        this.autoDelay = AUTO_DELAYS[1];
+        this.autoAdvanceTimer = null;
+        this.eventContinueCallback = null;
+        this.autoDelayCallback = null;
         
         // DOM要素の参照を取得
         this.screens = {
@@ -28,6 +52,8 @@ class UIController {
             affection: document.getElementById('affection-display'),
             money: document.getElementById('money-display')
         };
+        this.statusElements.date = this.createDateDisplay();
+        this.statusElements.stamina = this.createStaminaDisplay();
         
         // ボタン要素
         this.buttons = {
@@ -52,7 +78,121 @@ class UIController {
         // 行動ボタンコンテナ
         this.actionButtonsContainer = document.getElementById('action-buttons');
         
+        // セーブ・ロード画面とシステムメニュー（動的に生成）
+        this.saveLoadScreen = this.createSaveLoadScreen();
+        this.transferScreen = this.createTransferScreen();
+        this.shopScreen = this.createShopScreen();
+        this.backlogScreen = this.createBacklogScreen();
+        this.modeToolbar = this.createModeToolbar();
+        this.systemMenu = this.createSystemMenu();
+        this.buttons.resume = this.createResumeButton();
+        this.notification = this.createNotification();
+        this.choiceList = this.createChoiceList();
+        this.buttons.endingNext = this.createEndingNextButton();
+        this.languageSelect = this.createLanguageSelect();
+        this.endingPages = [];
+        this.endingPageIndex = 0;
+        
         this.initializeEventListeners();
+        this.applyTranslations();
+    }
+    
+    /**
+     * 固定の文言（ボタンのラベルなど）を現在の言語で表示する
+     * data-i18n 属性を持つ要素は、その値をメッセージキーとして表示する
+     */
+    applyTranslations() {
+        const labels = {
+            newGame: 'title.new_game',
+            continue: 'title.continue',
+            play: 'action.play',
+            work: 'action.work',
+            none: 'action.none',
+            eventContinue: 'event.continue',
+            endingReturn: 'ending.return',
+            endingNext: 'ending.next',
+            save: 'menu.save',
+            load: 'menu.load',
+            shop: 'menu.shop',
+            backlog: 'menu.backlog',
+            auto: 'mode.auto',
+            skip: 'mode.skip'
+        };
+        Object.entries(labels).forEach(([name, key]) => {
+            if (this.buttons[name]) {
+                this.buttons[name].textContent = this.i18n.t(key);
+            }
+        });
+        
+        this.saveLoadScreen.querySelector('#save-load-import-btn').textContent = this.i18n.t('menu.import');
+        this.saveLoadScreen.querySelector('#save-load-close-btn').textContent = this.i18n.t('menu.close');
+        this.transferScreen.querySelector('#transfer-close-btn').textContent = this.i18n.t('menu.close');
+        this.shopScreen.querySelector('#shop-title').textContent = this.i18n.t('shop.title');
+        this.shopScreen.querySelector('#shop-close-btn').textContent = this.i18n.t('menu.close');
+        this.backlogScreen.querySelector('#backlog-title').textContent = this.i18n.t('backlog.title');
+        this.backlogScreen.querySelector('#backlog-close-btn').textContent = this.i18n.t('menu.close');
+        this.modeToolbar.querySelectorAll('option').forEach(option => {
+            option.textContent = this.i18n.t('mode.auto_delay', { seconds: Number(option.value) / 1000 });
+        });
+        
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.i18n.t(element.dataset.i18n);
+        });
+        
+        if (this.languageSelect) {
+            this.languageSelect.querySelector('.language-label').textContent = this.i18n.t('title.language');
+            this.languageSelect.querySelector('select').value = this.i18n.getLocale();
+        }
+        document.documentElement.lang = this.i18n.getLocale();
+    }
+    
+    /**
+     * タイトル画面の言語切り替えを作成する
+     * @returns {HTMLElement|null} 言語切り替え要素
+     */
+    createLanguageSelect() {
+        const container = this.buttons.newGame ? this.buttons.newGame.parentElement : null;
+        if (!container) {
+            return null;
+        }
+        
+        const wrapper = document.createElement('label');
+        wrapper.id = 'language-select';
+        wrapper.className = 'language-select';
+        
+        const label = document.createElement('span');
+        label.className = 'language-label';
+        
+        const select = document.createElement('select');
+        this.i18n.getAvailableLocales().forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale.id;
+            option.textContent = locale.name;
+            select.appendChild(option);
+        });
+        
+        wrapper.appendChild(label);
+        wrapper.appendChild(select);
+        container.appendChild(wrapper);
+        
+        return wrapper;
+    }
+    
+    /**
+     * 言語切り替えにイベントリスナーを設定する
+     * @param {Function} changeCallback - 言語変更時のコールバック（言語IDを受け取る）
+     */
+    setLanguageListener(changeCallback) {
+        if (!this.languageSelect) {
+            return;
+        }
+        
+        this.languageSelect.querySelector('select').addEventListener('change', (event) => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            changeCallback(event.target.value);
+        });
     }
     
     /**
@@ -66,15 +206,23 @@ class UIController {
                 if (this.isTypewriting) {
                     // タイプライター効果中の場合は即座に完了
                     this.completeTypewriter();
-                } else if (this.typewriterCallback) {
+                } else {
                     // テキスト表示完了後のコールバック実行
-                    const callback = this.typewriterCallback;
-                    this.typewriterCallback = null;
-                    this.hideDialogueContinue();
-                    callback();
+                    this.advanceDialogue();
                 }
             });
         }
+        
+        // 行動選択中・イベント中にマウスホイールを上に回すとバックログを開く
+        [this.screens.main, this.screens.event].forEach(screen => {
+            if (screen) {
+                screen.addEventListener('wheel', (event) => {
+                    if (event.deltaY < 0 && !this.isOverlayActive()) {
+                        this.showBacklogScreen();
+                    }
+                }, { passive: true });
+            }
+        });
     }
     
     /**
@@ -87,6 +235,14 @@ class UIController {
             this.screens[this.currentScreen].classList.remove('active');
         }
         
+        // エンディング・タイトルではオート・スキップを止める
+        if (screenName === 'ending' || screenName === 'title') {
+            this.stopAutoModes();
+        }
+        if (this.modeToolbar) {
+            this.modeToolbar.style.display = screenName === 'main' || screenName === 'event' ? 'flex' : 'none';
+        }
+        
         // 新しい画面を表示
         if (this.screens[screenName]) {
             this.screens[screenName].classList.add('active');
@@ -107,11 +263,51 @@ class UIController {
         }
     }
     
+    /**
+     * ステータスバーの日付表示を作成する
+     * @returns {HTMLElement|null} 日付表示要素
+     */
+    createDateDisplay() {
+        const statusBar = document.getElementById('status-bar');
+        if (!statusBar) {
+            return null;
+        }
+        
+        const element = document.createElement('span');
+        element.id = 'date-display';
+        element.className = 'date-display';
+        statusBar.insertBefore(element, statusBar.firstChild);
+        
+        return element;
+    }
+    
+    /**
+     * ステータスバーの体力表示を作成する
+     * @returns {HTMLElement|null} 体力表示要素
+     */
+    createStaminaDisplay() {
+        const statusBar = document.getElementById('status-bar');
+        if (!statusBar) {
+            return null;
+        }
+        
+        const element = document.createElement('span');
+        element.id = 'stamina-display';
+        element.className = 'stamina-display';
+        statusBar.appendChild(element);
+        
+        return element;
+    }
+    
     /**
      * ステータスバーを更新する
      * @param {Object} gameState - ゲーム状態オブジェクト
+     * @param {string|null} dateLabel - 日付の表示（例: '7月21日（月）海の日'）
      */
-    updateStatusBar(gameState) {
+    updateStatusBar(gameState, dateLabel = null) {
+        if (this.statusElements.date) {
+            this.statusElements.date.textContent = dateLabel || '';
+        }
         if (this.statusElements.day) {
             this.statusElements.day.textContent = gameState.day;
         }
@@ -119,7 +315,16 @@ class UIController {
             this.statusElements.affection.textContent = gameState.affection;
         }
         if (this.statusElements.money) {
-            this.statusElements.money.textContent = gameState.money.toLocaleString();
+            this.statusElements.money.textContent = gameState.money.toLocaleString(this.i18n.getFormatLocale());
+        }
+        if (this.statusElements.stamina) {
+            const config = gameState.config || {};
+            this.statusElements.stamina.textContent = this.i18n.t('status.stamina', {
+                stamina: gameState.stamina,
+                max_stamina: config.max_stamina
+            });
+            // 疲労状態は強調表示する
+            this.statusElements.stamina.classList.toggle('exhausted', gameState.stamina < config.low_stamina_threshold);
         }
     }
     
@@ -131,6 +336,9 @@ class UIController {
             this.actionButtonsContainer.style.display = 'flex';
         }
         
+        // 行動選択中のみセーブ・ロードを許可する
+        this.setSystemMenuVisibility(true);
+        
         // 各ボタンを有効化
         Object.values(this.buttons).forEach(button => {
             if (button && (button.id === 'play-btn' || button.id === 'work-btn' || button.id === 'none-btn')) {
@@ -139,6 +347,20 @@ class UIController {
         });
     }
     
+    /**
+     * 行動ボタンの選択可否を設定する（showActionButtons()の後に呼び出す）
+     * @param {string} actionType - 行動タイプ（'play', 'work', 'none'）
+     * @param {boolean} enabled - 選択できるかどうか
+     * @param {string} reason - 選択できない理由（ボタンのツールチップに表示）
+     */
+    setActionButtonEnabled(actionType, enabled, reason = '') {
+        const button = this.buttons[actionType];
+        if (button) {
+            button.disabled = !enabled;
+            button.title = enabled ? '' : reason;
+        }
+    }
+    
     /**
      * 行動ボタンを非表示にする
      */
@@ -146,6 +368,8 @@ class UIController {
         if (this.actionButtonsContainer) {
             this.actionButtonsContainer.style.display = 'none';
         }
+        
+        this.setSystemMenuVisibility(false);
     }
     
     /**
@@ -163,39 +387,103 @@ class UIController {
      * ダイアログテキストを表示する（タイプライター効果付き）
      * @param {string} text - 表示するテキスト
      * @param {Function} callback - テキスト表示完了後のコールバック関数
+     * @param {Object} options - 表示設定
+     * @param {boolean} options.read - 既読かどうか（デフォルト: true、日の開始などのシステムメッセージは既読として扱う）
      */
-    displayDialogue(text, callback = null) {
+    displayDialogue(text, callback = null, options = {}) {
         if (!this.textElements.dialogue) {
             console.error('Dialogue element not found');
             return;
         }
         
+        this.cancelAutoAdvance();
+        this.addBacklogEntry('dialogue', text);
         this.typewriterCallback = callback;
-        this.typewriterEffect(this.textElements.dialogue, text, this.typewriterSpeed, () => {
+        this.showText(this.textElements.dialogue, text, options.read !== false, () => {
             if (callback) {
                 this.showDialogueContinue();
+                this.scheduleAutoAdvance(() => this.advanceDialogue());
             }
         });
     }
     
+    /**
+     * 表示が完了したダイアログを次へ進める（ダイアログボックスのクリック・オートモード）
+     */
+    advanceDialogue() {
+        if (this.isTypewriting || !this.typewriterCallback) {
+            return;
+        }
+        
+        this.cancelAutoAdvance();
+        const callback = this.typewriterCallback;
+        this.typewriterCallback = null;
+        this.hideDialogueContinue();
+        callback();
+    }
+    
     /**
      * イベントテキストを表示する（タイプライター効果付き）
      * @param {string} text - 表示するテキスト
      * @param {Function} callback - テキスト表示完了後のコールバック関数
+     * @param {Object} options - 表示設定
+     * @param {boolean} options.read - 既読かどうか（デフォルト: false、スキップモードは既読の行のみ早送りする）
      */
-    displayEventText(text, callback = null) {
+    displayEventText(text, callback = null, options = {}) {
         if (!this.textElements.eventText) {
             console.error('Event text element not found');
             return;
         }
         
-        this.typewriterEffect(this.textElements.eventText, text, this.typewriterSpeed, () => {
+        this.cancelAutoAdvance();
+        this.addBacklogEntry('event', text);
+        this.showText(this.textElements.eventText, text, options.read === true, () => {
             if (callback) {
                 this.showEventContinueButton();
+                // 続けて選択肢が表示される場合は showChoices() で取り消される
+                this.scheduleAutoAdvance(() => this.advanceEvent());
+                callback();
             }
         });
     }
     
+    /**
+     * 表示が完了したイベントテキストを次へ進める（継続ボタンと同じ処理、オートモード用）
+     */
+    advanceEvent() {
+        const button = this.buttons.eventContinue;
+        if (!this.eventContinueCallback || !button || button.style.display === 'none') {
+            return;
+        }
+        
+        this.cancelAutoAdvance();
+        this.hideEventContinueButton();
+        this.eventContinueCallback();
+    }
+    
+    /**
+     * テキストを表示する（内部メソッド）
+     * スキップモード中の既読テキストは即座に表示し、未読のテキストではスキップモードを止めてタイプライター効果で表示する
+     * @param {HTMLElement} element - テキストを表示する要素
+     * @param {string} text - 表示するテキスト
+     * @param {boolean} read - 既読かどうか
+     * @param {Function} callback - 表示完了時のコールバック関数
+     */
+    showText(element, text, read, callback) {
+        if (this.skipMode && !read) {
+            this.setSkipMode(false);
+        }
+        
+        if (!this.skipMode) {
+            this.typewriterEffect(element, text, this.typewriterSpeed, callback);
+            return;
+        }
+        
+        element.textContent = text;
+        this.isTypewriting = false;
+        callback();
+    }
+    
     /**
      * タイプライター効果でテキストを表示する
      * @param {HTMLElement} element - テキストを表示する要素
@@ -241,6 +529,7 @@ class UIController {
             // コールバックがある場合は実行
             if (this.typewriterCallback) {
                 this.showDialogueContinue();
+                this.scheduleAutoAdvance(() => this.advanceDialogue());
             }
         }
     }
@@ -281,6 +570,70 @@ class UIController {
         }
     }
     
+    /**
+     * イベント画面の選択肢リストを作成する
+     * @returns {HTMLElement|null} 選択肢リスト要素
+     */
+    createChoiceList() {
+        const container = this.textElements.eventText ? this.textElements.eventText.parentElement : null;
+        if (!container) {
+            return null;
+        }
+        
+        const list = document.createElement('div');
+        list.id = 'event-choices';
+        list.className = 'choice-list';
+        list.style.display = 'none';
+        container.insertBefore(list, this.buttons.eventContinue || null);
+        
+        return list;
+    }
+    
+    /**
+     * イベントの選択肢を表示する
+     * @param {Array<string>} labels - 選択肢のテキスト（2〜4個）
+     * @param {Function} callback - 選択時のコールバック（選択肢のインデックスを受け取る）
+     */
+    showChoices(labels, callback) {
+        if (!this.choiceList) {
+            console.error('Choice list element not found');
+            return;
+        }
+        
+        // 選択肢ではオートモードは選択を待ち、スキップモードは止まる
+        this.cancelAutoAdvance();
+        this.setSkipMode(false);
+        this.hideEventContinueButton();
+        this.choiceList.innerHTML = '';
+        
+        labels.forEach((label, index) => {
+            const button = document.createElement('button');
+            button.className = 'choice-btn';
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSFX('select');
+                }
+                this.hideChoices();
+                this.addBacklogEntry('choice', label);
+                callback(index);
+            });
+            this.choiceList.appendChild(button);
+        });
+        
+        this.choiceList.style.display = 'flex';
+    }
+    
+    /**
+     * イベントの選択肢を非表示にする
+     */
+    hideChoices() {
+        if (this.choiceList) {
+            this.choiceList.style.display = 'none';
+            this.choiceList.innerHTML = '';
+        }
+    }
+    
     /**
      * 継続ボタンの表示状態を設定する
      * @param {boolean} show - 表示するかどうか
@@ -291,20 +644,127 @@ class UIController {
         }
     }
     
+    /**
+     * 通知表示要素を作成する
+     * @returns {HTMLElement} 通知要素
+     */
+    createNotification() {
+        const notification = document.createElement('div');
+        notification.id = 'notification';
+        notification.className = 'notification';
+        document.body.appendChild(notification);
+        return notification;
+    }
+    
+    /**
+     * 画面上部に通知メッセージを一定時間表示する（エラー表示など）
+     * @param {string} message - 表示するメッセージ
+     * @param {number} duration - 表示時間（ミリ秒）
+     */
+    showNotification(message, duration = 4000) {
+        this.notification.textContent = message;
+        this.notification.classList.add('active');
+        
+        clearTimeout(this.notificationTimer);
+        this.notificationTimer = setTimeout(() => {
+            this.notification.classList.remove('active');
+        }, duration);
+    }
+    
+    /**
+     * 「前回の続きから」ボタンを作成する（タイトル画面、オートセーブ用）
+     * @returns {HTMLElement|null} ボタン要素
+     */
+    createResumeButton() {
+        const container = this.buttons.newGame ? this.buttons.newGame.parentElement : null;
+        if (!container) {
+            return null;
+        }
+        
+        const button = document.createElement('button');
+        button.id = 'resume-btn';
+        button.className = 'menu-btn';
+        button.style.display = 'none';
+        container.insertBefore(button, this.buttons.newGame);
+        
+        return button;
+    }
+    
+    /**
+     * 「前回の続きから」ボタンの表示状態を設定する
+     * @param {Object|null} autosaveInfo - オートセーブのスロット情報（ない場合はnull）
+     */
+    setResumeButton(autosaveInfo) {
+        if (!this.buttons.resume) {
+            return;
+        }
+        
+        if (autosaveInfo && !autosaveInfo.empty) {
+            this.buttons.resume.textContent = this.i18n.t('title.resume', { day: autosaveInfo.day });
+            this.buttons.resume.style.display = 'block';
+        } else {
+            this.buttons.resume.style.display = 'none';
+        }
+    }
+    
     /**
      * エンディング画面を設定する
+     * 本文が複数ページの場合は「次へ」ボタンでページを送り、最後のページでタイトルに戻るボタンを表示する
      * @param {string} title - エンディングタイトル
-     * @param {string} text - エンディングテキスト
+     * @param {string|Array<string>} text - エンディング本文（ページの配列）
      */
     setEndingContent(title, text) {
         if (this.textElements.endingTitle) {
             this.textElements.endingTitle.textContent = title;
         }
+        
+        this.endingPages = Array.isArray(text) ? text : [text];
+        this.showEndingPage(0);
+    }
+    
+    /**
+     * エンディング本文の指定ページを表示する
+     * @param {number} pageIndex - ページ番号（0始まり）
+     */
+    showEndingPage(pageIndex) {
+        this.endingPageIndex = pageIndex;
+        const isLastPage = pageIndex >= this.endingPages.length - 1;
+        
         if (this.textElements.endingText) {
-            this.textElements.endingText.textContent = text;
+            this.textElements.endingText.textContent = this.endingPages[pageIndex] || '';
+        }
+        if (this.buttons.endingNext) {
+            this.buttons.endingNext.style.display = isLastPage ? 'none' : 'inline-block';
+        }
+        if (this.buttons.endingReturn) {
+            this.buttons.endingReturn.style.display = isLastPage ? '' : 'none';
         }
     }
     
+    /**
+     * エンディング本文の「次へ」ボタンを作成する
+     * @returns {HTMLElement|null} ボタン要素
+     */
+    createEndingNextButton() {
+        if (!this.buttons.endingReturn) {
+            return null;
+        }
+        
+        const button = document.createElement('button');
+        button.id = 'ending-next-btn';
+        button.className = 'continue-btn';
+        button.style.display = 'none';
+        button.addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            this.showEndingPage(this.endingPageIndex + 1);
+        });
+        this.buttons.endingReturn.parentElement.insertBefore(button, this.buttons.endingReturn);
+        
+        return button;
+    }
+    
     /**
      * 行動ボタンにイベントリスナーを設定する
      * @param {Function} playCallback - 遊ぶボタンのコールバック
@@ -347,8 +807,9 @@ class UIController {
      * タイトル画面ボタンにイベントリスナーを設定する
      * @param {Function} newGameCallback - 新規ゲームのコールバック
      * @param {Function} continueCallback - 継続ゲームのコールバック
+     * @param {Function} resumeCallback - オートセーブから再開のコールバック
      */
-    setTitleButtonListeners(newGameCallback, continueCallback) {
+    setTitleButtonListeners(newGameCallback, continueCallback, resumeCallback = null) {
         if (this.buttons.newGame) {
             this.buttons.newGame.addEventListener('click', () => {
                 if (this.audioManager) {
@@ -366,6 +827,15 @@ class UIController {
                 continueCallback();
             });
         }
+        
+        if (this.buttons.resume && resumeCallback) {
+            this.buttons.resume.addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSFX('select');
+                }
+                resumeCallback();
+            });
+        }
     }
     
     /**
@@ -374,13 +844,13 @@ class UIController {
      * @param {Function} endingReturnCallback - エンディング終了のコールバック
      */
     setOtherButtonListeners(eventContinueCallback, endingReturnCallback) {
+        this.eventContinueCallback = eventContinueCallback;
         if (this.buttons.eventContinue) {
             this.buttons.eventContinue.addEventListener('click', () => {
                 if (this.audioManager) {
                     this.audioManager.playSFX('click');
                 }
-                this.hideEventContinueButton();
-                eventContinueCallback();
+                this.advanceEvent();
             });
         }
         
@@ -394,6 +864,744 @@ class UIController {
         }
     }
     
+    /**
+     * システムメニュー（セーブ・ロード・ショップ・バックログボタン）を作成する
+     * @returns {HTMLElement|null} システムメニュー要素
+     */
+    createSystemMenu() {
+        const gameArea = this.screens.main ? this.screens.main.querySelector('.game-area') || this.screens.main : null;
+        if (!gameArea) {
+            return null;
+        }
+        
+        const menu = document.createElement('div');
+        menu.id = 'system-menu';
+        menu.className = 'system-menu';
+        menu.style.display = 'none';
+        
+        this.buttons.save = document.createElement('button');
+        this.buttons.save.id = 'save-btn';
+        this.buttons.save.className = 'system-btn';
+        
+        this.buttons.load = document.createElement('button');
+        this.buttons.load.id = 'load-btn';
+        this.buttons.load.className = 'system-btn';
+        
+        this.buttons.shop = document.createElement('button');
+        this.buttons.shop.id = 'shop-btn';
+        this.buttons.shop.className = 'system-btn';
+        
+        // バックログはゲームの進行に関わらないため、UIController内で開く
+        this.buttons.backlog = document.createElement('button');
+        this.buttons.backlog.id = 'backlog-btn';
+        this.buttons.backlog.className = 'system-btn';
+        this.buttons.backlog.addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            this.showBacklogScreen();
+        });
+        
+        menu.appendChild(this.buttons.save);
+        menu.appendChild(this.buttons.load);
+        menu.appendChild(this.buttons.shop);
+        menu.appendChild(this.buttons.backlog);
+        gameArea.appendChild(menu);
+        
+        return menu;
+    }
+    
+    /**
+     * システムメニューの表示状態を設定する
+     * @param {boolean} show - 表示するかどうか
+     */
+    setSystemMenuVisibility(show) {
+        if (this.systemMenu) {
+            this.systemMenu.style.display = show ? 'flex' : 'none';
+        }
+    }
+    
+    /**
+     * システムメニューのボタンにイベントリスナーを設定する
+     * @param {Function} saveCallback - セーブボタンのコールバック
+     * @param {Function} loadCallback - ロードボタンのコールバック
+     * @param {Function} shopCallback - ショップボタンのコールバック
+     */
+    setSystemMenuListeners(saveCallback, loadCallback, shopCallback = null) {
+        if (this.buttons.save) {
+            this.buttons.save.addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSFX('click');
+                }
+                saveCallback();
+            });
+        }
+        
+        if (this.buttons.load) {
+            this.buttons.load.addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSFX('click');
+                }
+                loadCallback();
+            });
+        }
+        
+        if (this.buttons.shop) {
+            this.buttons.shop.style.display = shopCallback ? 'inline-block' : 'none';
+            this.buttons.shop.addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSFX('click');
+                }
+                if (shopCallback) {
+                    shopCallback();
+                }
+            });
+        }
+    }
+    
+    /**
+     * セーブ・ロード画面を作成する
+     * @returns {HTMLElement} セーブ・ロード画面要素
+     */
+    createSaveLoadScreen() {
+        const overlay = document.createElement('div');
+        overlay.id = 'save-load-screen';
+        overlay.className = 'overlay-screen';
+        overlay.innerHTML = `
+            <div class="overlay-container">
+                <h2 class="overlay-title" id="save-load-title"></h2>
+                <ul class="slot-list" id="slot-list"></ul>
+                <div class="overlay-buttons">
+                    <button class="menu-btn" id="save-load-import-btn"></button>
+                    <button class="menu-btn" id="save-load-close-btn"></button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        
+        overlay.querySelector('#save-load-close-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            this.hideSaveLoadScreen();
+            if (this.saveLoadCloseCallback) {
+                this.saveLoadCloseCallback();
+            }
+        });
+        
+        overlay.querySelector('#save-load-import-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            if (this.saveLoadImportCallback) {
+                this.hideSaveLoadScreen();
+                this.saveLoadImportCallback();
+            }
+        });
+        
+        return overlay;
+    }
+    
+    /**
+     * セーブ・ロード画面を表示する
+     * @param {string} mode - 'save' または 'load'
+     * @param {Array<Object>} slots - SaveSystem.listSlots()で取得したスロット情報
+     * @param {Function} selectCallback - スロット選択時のコールバック（スロットIDを受け取る）
+     * @param {Function} closeCallback - 閉じるボタンのコールバック
+     * @param {Object} transferCallbacks - エクスポート・インポートのコールバック
+     * @param {Function} transferCallbacks.exportSlot - エクスポート時（スロットIDと 'json'/'code' を受け取る）
+     * @param {Function} transferCallbacks.importData - インポートボタン押下時
+     */
+    showSaveLoadScreen(mode, slots, selectCallback, closeCallback = null, transferCallbacks = null) {
+        const title = this.saveLoadScreen.querySelector('#save-load-title');
+        const list = this.saveLoadScreen.querySelector('#slot-list');
+        const importButton = this.saveLoadScreen.querySelector('#save-load-import-btn');
+        
+        title.textContent = this.i18n.t(mode === 'save' ? 'menu.save' : 'menu.load');
+        list.innerHTML = '';
+        this.saveLoadCloseCallback = closeCallback;
+        this.saveLoadImportCallback = transferCallbacks && mode === 'load' ? transferCallbacks.importData : null;
+        importButton.style.display = this.saveLoadImportCallback ? 'inline-block' : 'none';
+        
+        slots.forEach(info => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'slot-btn';
+            
+            const label = document.createElement('span');
+            label.className = 'slot-label';
+            label.textContent = typeof info.slot === 'number'
+                ? this.i18n.t('slot.number', { slot: info.slot })
+                : this.i18n.t('slot.autosave');
+            
+            const detail = document.createElement('span');
+            detail.className = 'slot-detail';
+            if (info.empty) {
+                detail.textContent = this.i18n.t('slot.empty');
+            } else {
+                const savedAt = new Date(info.timestamp).toLocaleString(this.i18n.getFormatLocale());
+                const progress = info.ending_progress || {};
+                detail.textContent = this.i18n.t('slot.detail', {
+                    day: info.day,
+                    affection: info.affection,
+                    money: info.money,
+                    money_progress: progress.money || 0,
+                    affection_progress: progress.affection || 0
+                }) + savedAt;
+            }
+            
+            // 空きスロットはロードできない
+            button.disabled = mode === 'load' && info.empty;
+            button.appendChild(label);
+            button.appendChild(detail);
+            button.addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSFX('select');
+                }
+                this.hideSaveLoadScreen();
+                selectCallback(info.slot);
+            });
+            
+            item.appendChild(button);
+            
+            // データのあるスロットはファイルまたはセーブコードとしてエクスポートできる
+            if (transferCallbacks && transferCallbacks.exportSlot && !info.empty) {
+                const exportButtons = document.createElement('div');
+                exportButtons.className = 'slot-export-buttons';
+                [['json', 'slot.export_file'], ['code', 'slot.export_code']].forEach(([format, key]) => {
+                    const exportButton = document.createElement('button');
+                    exportButton.className = 'system-btn';
+                    exportButton.textContent = this.i18n.t(key);
+                    exportButton.addEventListener('click', () => {
+                        if (this.audioManager) {
+                            this.audioManager.playSFX('click');
+                        }
+                        transferCallbacks.exportSlot(info.slot, format);
+                    });
+                    exportButtons.appendChild(exportButton);
+                });
+                item.appendChild(exportButtons);
+            }
+            
+            list.appendChild(item);
+        });
+        
+        this.saveLoadScreen.classList.add('active');
+    }
+    
+    /**
+     * セーブ・ロード画面を非表示にする
+     */
+    hideSaveLoadScreen() {
+        this.saveLoadScreen.classList.remove('active');
+    }
+    
+    /**
+     * ショップ画面を作成する
+     * @returns {HTMLElement} ショップ画面要素
+     */
+    createShopScreen() {
+        const overlay = document.createElement('div');
+        overlay.id = 'shop-screen';
+        overlay.className = 'overlay-screen';
+        overlay.innerHTML = `
+            <div class="overlay-container">
+                <h2 class="overlay-title" id="shop-title"></h2>
+                <p class="shop-money" id="shop-money"></p>
+                <ul class="slot-list shop-list" id="shop-list"></ul>
+                <div class="overlay-buttons">
+                    <button class="menu-btn" id="shop-close-btn"></button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        
+        overlay.querySelector('#shop-close-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            this.hideShopScreen();
+            if (this.shopCloseCallback) {
+                this.shopCloseCallback();
+            }
+        });
+        
+        return overlay;
+    }
+    
+    /**
+     * ショップ画面を表示する（購入後は再度呼び出して表示を更新する）
+     * @param {Array<Object>} items - 表示する商品（id, category, name, description, price, remaining, available, reason）
+     * @param {number} money - 現在の所持金
+     * @param {Function} purchaseCallback - 商品選択時のコールバック（商品IDを受け取る）
+     * @param {Function} closeCallback - 閉じるボタンのコールバック
+     */
+    showShopScreen(items, money, purchaseCallback, closeCallback = null) {
+        const list = this.shopScreen.querySelector('#shop-list');
+        const formatLocale = this.i18n.getFormatLocale();
+        
+        this.shopScreen.querySelector('#shop-money').textContent =
+            this.i18n.t('shop.money', { money: money.toLocaleString(formatLocale) });
+        list.innerHTML = '';
+        this.shopCloseCallback = closeCallback;
+        
+        items.forEach(item => {
+            const entry = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'slot-btn shop-item';
+            
+            const label = document.createElement('span');
+            label.className = 'slot-label';
+            label.textContent = `[${this.i18n.t(`shop.category.${item.category}`)}] ${item.name}`;
+            
+            const description = document.createElement('span');
+            description.className = 'slot-detail';
+            description.textContent = item.description || '';
+            
+            // 価格・在庫・購入できない理由
+            const detail = document.createElement('span');
+            detail.className = 'shop-item-detail';
+            const details = [this.i18n.t('shop.price', { price: item.price.toLocaleString(formatLocale) })];
+            if (item.remaining !== null) {
+                details.push(this.i18n.t('shop.stock', { stock: item.remaining }));
+            }
+            if (item.reason) {
+                details.push(this.i18n.t(`shop.${item.reason}`));
+            }
+            detail.textContent = details.join(' / ');
+            
+            button.disabled = !item.available;
+            button.appendChild(label);
+            button.appendChild(description);
+            button.appendChild(detail);
+            button.addEventListener('click', () => {
+                if (this.audioManager) {
+                    this.audioManager.playSFX('select');
+                }
+                purchaseCallback(item.id);
+            });
+            
+            entry.appendChild(button);
+            list.appendChild(entry);
+        });
+        
+        this.shopScreen.classList.add('active');
+    }
+    
+    /**
+     * ショップ画面を非表示にする
+     */
+    hideShopScreen() {
+        this.shopScreen.classList.remove('active');
+    }
+    
+    /**
+     * オート・スキップの切り替えボタンとオートの待ち時間の選択を作成する
+     * 行動選択・イベントの画面でのみ表示する
+     * @returns {HTMLElement} ツールバー要素
+     */
+    createModeToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.id = 'mode-toolbar';
+        toolbar.className = 'mode-toolbar';
+        toolbar.style.display = 'none';
+        
+        this.buttons.auto = document.createElement('button');
+        this.buttons.auto.id = 'auto-btn';
+        this.buttons.auto.className = 'system-btn mode-btn';
+        this.buttons.auto.addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            this.setAutoMode(!this.autoMode);
+        });
+        
+        this.buttons.skip = document.createElement('button');
+        this.buttons.skip.id = 'skip-btn';
+        this.buttons.skip.className = 'system-btn mode-btn';
+        this.buttons.skip.addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            this.setSkipMode(!this.skipMode);
+        });
+        
+        const select = document.createElement('select');
+        select.className = 'auto-delay-select';
+        AUTO_DELAYS.forEach(delay => {
+            const option = document.createElement('option');
+            option.value = String(delay);
+            select.appendChild(option);
+        });
+        select.value = String(this.autoDelay);
+        select.addEventListener('change', () => {
+            this.setAutoDelay(Number(select.value));
+            if (this.autoDelayCallback) {
+                this.autoDelayCallback(this.autoDelay);
+            }
+        });
+        
+        toolbar.appendChild(this.buttons.auto);
+        toolbar.appendChild(this.buttons.skip);
+        toolbar.appendChild(select);
+        document.body.appendChild(toolbar);
+        
+        return toolbar;
+    }
+    
+    /**
+     * オートモードを切り替える（スキップモードとは同時に使用しない）
+     * @param {boolean} enabled - 有効にするかどうか
+     */
+    setAutoMode(enabled) {
+        this.autoMode = enabled;
+        if (enabled) {
+            this.skipMode = false;
+        }
+        this.updateAutoModeButtons();
+        this.resumeAutoAdvance();
+    }
+    
+    /**
+     * スキップモードを切り替える（オートモードとは同時に使用しない）
+     * @param {boolean} enabled - 有効にするかどうか
+     */
+    setSkipMode(enabled) {
+        this.skipMode = enabled;
+        if (enabled) {
+            this.autoMode = false;
+        }
+        this.updateAutoModeButtons();
+        this.resumeAutoAdvance();
+    }
+    
+    /**
+     * オートモード・スキップモードを止める（選択肢・エンディング・タイトル）
+     */
+    stopAutoModes() {
+        this.autoMode = false;
+        this.skipMode = false;
+        this.updateAutoModeButtons();
+        this.cancelAutoAdvance();
+    }
+    
+    /**
+     * オートモードの待ち時間を設定する
+     * @param {number} delay - 待ち時間（ミリ秒）
+     */
+    setAutoDelay(delay) {
+        if (!Number.isFinite(delay) || delay <= 0) {
+            return;
+        }
+        this.autoDelay = delay;
+        const select = this.modeToolbar ? this.modeToolbar.querySelector('select') : null;
+        if (select && AUTO_DELAYS.includes(delay)) {
+            select.value = String(delay);
+        }
+    }
+    
+    /**
+     * オートモードの待ち時間が変更されたときのコールバックを設定する（設定の保存用）
+     * @param {Function} changeCallback - 待ち時間（ミリ秒）を受け取るコールバック
+     */
+    setAutoDelayListener(changeCallback) {
+        this.autoDelayCallback = changeCallback;
+    }
+    
+    /**
+     * オート・スキップボタンの表示を現在のモードに合わせる（内部メソッド）
+     */
+    updateAutoModeButtons() {
+        if (this.buttons.auto) {
+            this.buttons.auto.classList.toggle('active', this.autoMode);
+        }
+        if (this.buttons.skip) {
+            this.buttons.skip.classList.toggle('active', this.skipMode);
+        }
+    }
+    
+    /**
+     * オート・スキップ中であれば、待ち時間の後にテキストを進める（内部メソッド）
+     * オーバーレイ画面（バックログなど）の表示中は閉じられるまで待つ
+     * @param {Function} advance - テキストを進める処理
+     */
+    scheduleAutoAdvance(advance) {
+        if (!this.autoMode && !this.skipMode) {
+            return;
+        }
+        
+        this.cancelAutoAdvance();
+        const delay = this.skipMode ? SKIP_INTERVAL : this.autoDelay;
+        this.autoAdvanceTimer = setTimeout(() => {
+            this.autoAdvanceTimer = null;
+            if (this.isOverlayActive()) {
+                this.scheduleAutoAdvance(advance);
+                return;
+            }
+            advance();
+        }, delay);
+    }
+    
+    /**
+     * 予定していた自動のテキスト送りを取り消す（内部メソッド）
+     */
+    cancelAutoAdvance() {
+        if (this.autoAdvanceTimer) {
+            clearTimeout(this.autoAdvanceTimer);
+            this.autoAdvanceTimer = null;
+        }
+    }
+    
+    /**
+     * モードの切り替え時、表示済みで次へ進むのを待っているテキストがあれば自動のテキスト送りを予定する（内部メソッド）
+     */
+    resumeAutoAdvance() {
+        if (!this.autoMode && !this.skipMode) {
+            this.cancelAutoAdvance();
+            return;
+        }
+        
+        const eventButton = this.buttons.eventContinue;
+        if (this.currentScreen === 'main' && this.typewriterCallback && !this.isTypewriting) {
+            this.scheduleAutoAdvance(() => this.advanceDialogue());
+        } else if (this.currentScreen === 'event' && eventButton && eventButton.style.display !== 'none') {
+            this.scheduleAutoAdvance(() => this.advanceEvent());
+        }
+    }
+    
+    /**
+     * バックログに記録する日・イベントIDを設定する
+     * @param {Object} context - 変更する値（day, event_id）
+     */
+    setBacklogContext(context) {
+        this.backlogContext = { ...this.backlogContext, ...context };
+    }
+    
+    /**
+     * 表示したテキストをバックログに追加する（内部メソッド）
+     * @param {string} type - 'dialogue' / 'event' / 'choice'
+     * @param {string} text - 表示したテキスト
+     */
+    addBacklogEntry(type, text) {
+        this.backlog.add({ type, text, ...this.backlogContext });
+    }
+    
+    /**
+     * バックログ画面を作成する
+     * @returns {HTMLElement} バックログ画面要素
+     */
+    createBacklogScreen() {
+        const overlay = document.createElement('div');
+        overlay.id = 'backlog-screen';
+        overlay.className = 'overlay-screen';
+        overlay.innerHTML = `
+            <div class="overlay-container">
+                <h2 class="overlay-title" id="backlog-title"></h2>
+                <ul class="backlog-list" id="backlog-list"></ul>
+                <div class="overlay-buttons">
+                    <button class="menu-btn" id="backlog-close-btn"></button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        
+        overlay.querySelector('#backlog-close-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            this.hideBacklogScreen();
+        });
+        
+        return overlay;
+    }
+    
+    /**
+     * バックログ画面を表示する（最新のテキストが見えるよう末尾までスクロールする）
+     */
+    showBacklogScreen() {
+        const list = this.backlogScreen.querySelector('#backlog-list');
+        const entries = this.backlog.getEntries();
+        list.innerHTML = '';
+        
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'backlog-empty';
+            empty.textContent = this.i18n.t('backlog.empty');
+            list.appendChild(empty);
+        }
+        
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `backlog-entry backlog-${entry.type}`;
+            
+            const header = document.createElement('span');
+            header.className = 'backlog-header';
+            const labels = [];
+            if (entry.day !== null) {
+                labels.push(this.i18n.t('backlog.day', { day: entry.day }));
+            }
+            if (entry.event_id) {
+                labels.push(entry.event_id);
+            }
+            header.textContent = labels.join(' / ');
+            
+            const text = document.createElement('span');
+            text.className = 'backlog-text';
+            text.textContent = entry.type === 'choice' ? this.i18n.t('backlog.choice', { text: entry.text }) : entry.text;
+            
+            item.appendChild(header);
+            item.appendChild(text);
+            list.appendChild(item);
+        });
+        
+        this.backlogScreen.classList.add('active');
+        list.scrollTop = list.scrollHeight;
+    }
+    
+    /**
+     * バックログ画面を非表示にする
+     */
+    hideBacklogScreen() {
+        this.backlogScreen.classList.remove('active');
+    }
+    
+    /**
+     * オーバーレイ画面（セーブ・ロード・ショップ・バックログなど）が表示中か確認する
+     * @returns {boolean} 表示中かどうか
+     */
+    isOverlayActive() {
+        return document.querySelector('.overlay-screen.active') !== null;
+    }
+    
+    /**
+     * セーブデータのエクスポート・インポート画面を作成する
+     * @returns {HTMLElement} エクスポート・インポート画面要素
+     */
+    createTransferScreen() {
+        const overlay = document.createElement('div');
+        overlay.id = 'transfer-screen';
+        overlay.className = 'overlay-screen';
+        overlay.innerHTML = `
+            <div class="overlay-container">
+                <h2 class="overlay-title" id="transfer-title"></h2>
+                <p class="transfer-description" id="transfer-description"></p>
+                <textarea class="transfer-text" id="transfer-text" rows="6"></textarea>
+                <input type="file" class="transfer-file" id="transfer-file" accept=".json,application/json">
+                <div class="overlay-buttons">
+                    <button class="menu-btn" id="transfer-action-btn"></button>
+                    <button class="menu-btn" id="transfer-close-btn"></button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        
+        overlay.querySelector('#transfer-action-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('select');
+            }
+            if (this.transferActionCallback) {
+                this.transferActionCallback(overlay.querySelector('#transfer-text').value);
+            }
+        });
+        
+        overlay.querySelector('#transfer-close-btn').addEventListener('click', () => {
+            if (this.audioManager) {
+                this.audioManager.playSFX('click');
+            }
+            this.hideTransferScreen();
+        });
+        
+        // ファイルが選択されたら内容をテキストエリアに読み込む
+        overlay.querySelector('#transfer-file').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) {
+                return;
+            }
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                overlay.querySelector('#transfer-text').value = reader.result;
+            };
+            reader.onerror = () => {
+                this.showNotification(this.i18n.t('notify.file_read_failed'));
+            };
+            reader.readAsText(file);
+        });
+        
+        return overlay;
+    }
+    
+    /**
+     * セーブコードを表示する（コピー用）
+     * @param {string} code - セーブコード
+     */
+    showExportCode(code) {
+        const textArea = this.transferScreen.querySelector('#transfer-text');
+        
+        this.transferScreen.querySelector('#transfer-title').textContent = this.i18n.t('transfer.code_title');
+        this.transferScreen.querySelector('#transfer-description').textContent = this.i18n.t('transfer.code_description');
+        this.transferScreen.querySelector('#transfer-file').style.display = 'none';
+        this.transferScreen.querySelector('#transfer-action-btn').textContent = this.i18n.t('transfer.copy');
+        textArea.value = code;
+        textArea.readOnly = true;
+        
+        this.transferActionCallback = () => {
+            textArea.select();
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(code).catch(error => {
+                    console.warn('クリップボードへのコピーに失敗しました:', error);
+                });
+            }
+        };
+        
+        this.transferScreen.classList.add('active');
+    }
+    
+    /**
+     * インポート画面を表示する
+     * @param {Function} importCallback - 読み込みボタン押下時のコールバック（入力テキストを受け取る）
+     */
+    showImportScreen(importCallback) {
+        const textArea = this.transferScreen.querySelector('#transfer-text');
+        const fileInput = this.transferScreen.querySelector('#transfer-file');
+        
+        this.transferScreen.querySelector('#transfer-title').textContent = this.i18n.t('transfer.import_title');
+        this.transferScreen.querySelector('#transfer-description').textContent = this.i18n.t('transfer.import_description');
+        this.transferScreen.querySelector('#transfer-action-btn').textContent = this.i18n.t('transfer.import_action');
+        fileInput.style.display = 'block';
+        fileInput.value = '';
+        textArea.value = '';
+        textArea.readOnly = false;
+        
+        this.transferActionCallback = importCallback;
+        this.transferScreen.classList.add('active');
+    }
+    
+    /**
+     * エクスポート・インポート画面を非表示にする
+     */
+    hideTransferScreen() {
+        this.transferScreen.classList.remove('active');
+        this.transferActionCallback = null;
+    }
+    
+    /**
+     * テキストをファイルとしてダウンロードさせる
+     * @param {string} filename - ファイル名
+     * @param {string} content - ファイルの内容
+     */
+    downloadFile(filename, content) {
+        const blob = new Blob([content], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
     /**
      * 現在の画面名を取得する
      * @returns {string} 現在の画面名
@@ -15,6 +15,11 @@ class VisualManager {
             day: 'assets/images/bg_room_day.jpg',
             evening: 'assets/images/bg_room_evening.jpg',
             night: 'assets/images/bg_room_night.jpg',
+            spring: 'assets/images/bg_room_spring.jpg',
+            summer: 'assets/images/bg_room_summer.jpg',
+            autumn: 'assets/images/bg_room_autumn.jpg',
+            winter: 'assets/images/bg_room_winter.jpg',
+            holiday: 'assets/images/bg_town_festival.jpg',
             default: 'assets/images/bg_room_day.jpg'
         };
         
@@ -37,7 +42,7 @@ class VisualManager {
     
     /**
      * 背景画像を設定する
-     * @param {string} backgroundKey - 背景のキー（day, evening, night）
+     * @param {string} backgroundKey - 背景のキー（day, evening, night, 季節, holiday）
      * @param {boolean} fade - フェード効果を使用するか
      */
     setBackground(backgroundKey, fade = true) {
@@ -97,6 +102,28 @@ class VisualManager {
         }
     }
     
+    /**
+     * 時間帯に基づいて背景を設定する（時間帯制）
+     * @param {string} timeSlot - 時間帯（morning, afternoon, night）
+     */
+    setBackgroundByTimeSlot(timeSlot) {
+        const backgroundKeys = {
+            morning: 'day',
+            afternoon: 'evening',
+            night: 'night'
+        };
+        this.setBackground(backgroundKeys[timeSlot] || 'default');
+    }
+    
+    /**
+     * カレンダーの日付情報に基づいて背景を設定する
+     * 祝日は祝日用の背景、それ以外は季節の背景を使用する
+     * @param {Object} date - GameState.getDate()で取得した日付情報
+     */
+    setBackgroundByDate(date) {
+        this.setBackground(date.is_holiday ? 'holiday' : date.season);
+    }
+    
     /**
      * キャラクター立ち絵を設定する
      * @param {string} characterKey - キャラクターのキー（default, happy, sad, surprised）
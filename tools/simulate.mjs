@@ -0,0 +1,339 @@
+// ゲームバランスのシミュレーター（DOMを使わずに GameState / EventSystem で多数のゲームを自動プレイする）
+// 使い方: node tools/simulate.mjs [--games 1000] [--strategy random] [--seed 1] [--script work,work,play]
+//                                 [--set work_base_income=6000] [--json]
+// 戦略: random（ランダム）/ always-work（常に仕事）/ greedy（理想の共存エンドを目指す）/ scripted（--script の行動を繰り返す）
+// エンディングの分布、日ごとの所持金・好感度のパーセンタイル、イベントの発生回数を出力する
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, resolve } from 'node:path';
+import { GameState } from '../js/gameState.js';
+import { EventSystem } from '../js/eventSystem.js';
+import { EndingSystem } from '../js/endingSystem.js';
+import { Calendar } from '../js/calendar.js';
+import { SeededRandom } from '../js/random.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const ACTIONS = ['play', 'work', 'none'];
+const PERCENTILES = [10, 50, 90];
+
+// ブラウザと同じ読み込み処理を使うため、fetch をプロジェクト内のファイル読み込みに置き換える
+globalThis.fetch = async (path) => {
+    try {
+        const text = await readFile(resolve(ROOT, path), 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(text) };
+    } catch (error) {
+        return { ok: false, status: 404, json: async () => null };
+    }
+};
+
+/**
+ * プレイヤーの戦略
+ * chooseAction(gameState, actions, context) は選択できる行動から1つを返し、
+ * chooseChoice(choices, gameState, context) は選択肢の番号を返す
+ * context は { random: 戦略用の乱数生成器, script: --script の行動, action_count: これまでの行動回数 }
+ */
+const STRATEGIES = {
+    'random': {
+        chooseAction: (gameState, actions, context) => actions[context.random.nextInt(0, actions.length - 1)],
+        chooseChoice: (choices, gameState, context) => context.random.nextInt(0, choices.length - 1)
+    },
+    'always-work': {
+        chooseAction: (gameState, actions) => actions.includes('work') ? 'work' : 'none',
+        chooseChoice: () => 0
+    },
+    'greedy': {
+        chooseAction: chooseGreedyAction,
+        chooseChoice: chooseGreedyChoice
+    },
+    'scripted': {
+        chooseAction: (gameState, actions, context) => {
+            const action = context.script[context.action_count % context.script.length];
+            return actions.includes(action) ? action : 'none';
+        },
+        chooseChoice: () => 0
+    }
+};
+
+/**
+ * 理想の共存エンドまでの不足分（平均的な1回の行動で埋まる回数）を計算する
+ * @param {GameState} gameState - ゲーム状態
+ * @returns {{money: number, affection: number}} 所持金・好感度の不足分
+ */
+function getShortfall(gameState) {
+    const config = gameState.config;
+    return {
+        money: Math.max(0, config.goal_money - gameState.money) / config.work_base_income,
+        affection: Math.max(0, config.affection_threshold - gameState.affection) / config.play_affection_base
+    };
+}
+
+/**
+ * 不足分の大きい方を埋める行動を選ぶ（疲労状態では休む）
+ */
+function chooseGreedyAction(gameState, actions) {
+    const shortfall = getShortfall(gameState);
+    const nearBlankEnd = gameState.consecutive_none >= gameState.config.bad_end_threshold - 1;
+    if (gameState.isExhausted() && !nearBlankEnd) {
+        return 'none';
+    }
+    if (shortfall.money >= shortfall.affection && actions.includes('work')) {
+        return 'work';
+    }
+    return 'play';
+}
+
+/**
+ * 不足分を最も埋める選択肢を選ぶ
+ */
+function chooseGreedyChoice(choices, gameState) {
+    const shortfall = getShortfall(gameState);
+    const config = gameState.config;
+    const average = (choice, key) => {
+        const min = choice[`${key}_min`] ?? choice[`${key}_delta`] ?? 0;
+        const max = choice[`${key}_max`] ?? choice[`${key}_delta`] ?? 0;
+        return (min + max) / 2;
+    };
+    const scores = choices.map(choice =>
+        (shortfall.money > 0 ? average(choice, 'money') / config.work_base_income : 0) +
+        (shortfall.affection > 0 ? average(choice, 'affection') / config.play_affection_base : 0));
+    return scores.indexOf(Math.max(...scores));
+}
+
+/**
+ * コマンドライン引数を解析する
+ * @param {Array<string>} args - 引数
+ * @returns {Object} 設定（games, strategy, seed, script, config, json）
+ */
+function parseArgs(args) {
+    const options = { games: 1000, strategy: 'random', seed: 1, script: [], config: {}, json: false };
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--games':
+                options.games = Number(args[++i]);
+                break;
+            case '--strategy':
+                options.strategy = args[++i];
+                break;
+            case '--seed':
+                options.seed = Number(args[++i]);
+                break;
+            case '--script':
+                options.script = String(args[++i]).split(',').map(action => action.trim());
+                break;
+            case '--set': {
+                const [key, value] = String(args[++i]).split('=');
+                options.config[key] = JSON.parse(value);
+                break;
+            }
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw new Error(`不明な引数です: ${args[i]}`);
+        }
+    }
+
+    if (!STRATEGIES[options.strategy]) {
+        throw new Error(`不明な戦略です: ${options.strategy}（${Object.keys(STRATEGIES).join(' / ')}）`);
+    }
+    if (!Number.isInteger(options.games) || options.games < 1) {
+        throw new Error('--games には1以上の整数を指定してください');
+    }
+    if (options.strategy === 'scripted' && (options.script.length === 0 || options.script.some(action => !ACTIONS.includes(action)))) {
+        throw new Error(`scripted 戦略には --script で行動（${ACTIONS.join(' / ')}）をカンマ区切りで指定してください`);
+    }
+    return options;
+}
+
+/**
+ * 1ゲームを最後までプレイする（main.js の行動選択〜日数経過と同じ順序で処理する）
+ * @param {Object} systems - 共有するシステム（eventSystem, endingSystem, calendar）
+ * @param {Object} options - シミュレーション設定
+ * @param {number} seed - このゲームのシード
+ * @returns {Object} 結果（ending, days: 各日の開始時点の {money, affection}, events: イベントID → 発生回数）
+ */
+function playGame(systems, options, seed) {
+    const { eventSystem, endingSystem, calendar } = systems;
+    const strategy = STRATEGIES[options.strategy];
+    const gameState = new GameState(options.config, new SeededRandom(seed), endingSystem, calendar);
+    // 戦略用の乱数はゲームの乱数と分け、同じシードでは戦略によらず同じ乱数列でイベントが選ばれるようにする
+    const context = { random: new SeededRandom(seed ^ 0x5f3759df), script: options.script, action_count: 0 };
+    eventSystem.setRandom(gameState.random);
+    eventSystem.setScheduledEvents([]);
+
+    const result = { ending: null, days: [], events: {} };
+    const maxTurns = gameState.config.max_days * gameState.getSlotsPerDay() + 1;
+
+    for (let turn = 0; turn <= maxTurns; turn++) {
+        if (gameState.slot === 0 && result.days.length < gameState.day) {
+            result.days.push({ money: gameState.money, affection: gameState.affection });
+        }
+
+        result.ending = gameState.checkEndingCondition();
+        if (result.ending) {
+            break;
+        }
+
+        const actions = ACTIONS.filter(action => gameState.isActionAvailable(action));
+        const actionType = strategy.chooseAction(gameState, actions, context);
+        const event = eventSystem.pickEvent(actionType, gameState.getState());
+
+        if (event) {
+            result.events[event.id] = (result.events[event.id] || 0) + 1;
+            gameState.recordEvent(event.id);
+            eventSystem.scheduleFollowUps(event, gameState.day);
+
+            let effects = eventSystem.calculateEventEffects(event);
+            if (event.choices && event.choices.length > 0) {
+                const choice = event.choices[strategy.chooseChoice(event.choices, gameState, context)];
+                eventSystem.scheduleFollowUps(choice, gameState.day);
+                effects = eventSystem.combineEffects(effects, eventSystem.calculateEventEffects(choice));
+            }
+            gameState.applyAction(actionType, effects);
+        } else {
+            gameState.applyAction(actionType);
+        }
+        context.action_count++;
+
+        if (!gameState.advanceSlot()) {
+            gameState.incrementDay();
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 昇順に並べた数値配列のパーセンタイルを取得する（最近順位法）
+ * @param {Array<number>} sorted - 昇順の数値配列
+ * @param {number} percentile - パーセンタイル（0〜100）
+ * @returns {number} 値
+ */
+function getPercentile(sorted, percentile) {
+    const index = Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1);
+    return sorted[index];
+}
+
+/**
+ * 全ゲームの結果を集計する
+ * @param {Array<Object>} results - playGame()の結果の配列
+ * @param {EndingSystem} endingSystem - エンディング定義
+ * @returns {Object} 集計結果（endings, days, events）
+ */
+function summarize(results, endingSystem) {
+    const games = results.length;
+    const endingCounts = {};
+    const eventCounts = {};
+    const dayValues = [];
+
+    results.forEach(result => {
+        const ending = result.ending || '(なし)';
+        endingCounts[ending] = (endingCounts[ending] || 0) + 1;
+        Object.entries(result.events).forEach(([eventId, count]) => {
+            eventCounts[eventId] = eventCounts[eventId] || { count: 0, games: 0 };
+            eventCounts[eventId].count += count;
+            eventCounts[eventId].games++;
+        });
+        result.days.forEach((values, index) => {
+            dayValues[index] = dayValues[index] || { money: [], affection: [] };
+            dayValues[index].money.push(values.money);
+            dayValues[index].affection.push(values.affection);
+        });
+    });
+
+    const percentilesOf = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return Object.fromEntries(PERCENTILES.map(p => [`p${p}`, getPercentile(sorted, p)]));
+    };
+
+    return {
+        games: games,
+        endings: Object.entries(endingCounts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([id, count]) => {
+                const ending = endingSystem.getEnding(id);
+                return { id, title: ending ? ending.title : id, count, rate: count / games };
+            }),
+        days: dayValues.map((values, index) => ({
+            day: index + 1,
+            games: values.money.length,
+            money: percentilesOf(values.money),
+            affection: percentilesOf(values.affection)
+        })),
+        events: Object.entries(eventCounts)
+            .sort((a, b) => b[1].count - a[1].count)
+            .map(([id, stats]) => ({ id, count: stats.count, per_game: stats.count / games, game_rate: stats.games / games }))
+    };
+}
+
+/**
+ * 集計結果を表形式で出力する
+ * @param {Object} summary - summarize()の結果
+ * @param {Object} options - シミュレーション設定
+ */
+function printSummary(summary, options) {
+    const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+    const percentileHeader = PERCENTILES.map(p => `p${p}`).join(' / ');
+
+    console.log(`戦略: ${options.strategy} / ゲーム数: ${summary.games} / シード: ${options.seed}〜${options.seed + summary.games - 1}`);
+    if (Object.keys(options.config).length > 0) {
+        console.log(`設定の変更: ${JSON.stringify(options.config)}`);
+    }
+
+    console.log('\n■ エンディングの分布');
+    summary.endings.forEach(ending => {
+        console.log(`  ${ending.title} (${ending.id}): ${ending.count}回 ${percent(ending.rate)}`);
+    });
+
+    console.log(`\n■ 各日の開始時点の所持金・好感度（${percentileHeader}）`);
+    summary.days.forEach(day => {
+        const money = PERCENTILES.map(p => day.money[`p${p}`]).join(' / ');
+        const affection = PERCENTILES.map(p => day.affection[`p${p}`]).join(' / ');
+        console.log(`  ${String(day.day).padStart(2)}日目 (n=${day.games}): 所持金 ${money} | 好感度 ${affection}`);
+    });
+
+    console.log('\n■ イベントの発生回数（回数 / 1ゲームあたり / 発生したゲームの割合）');
+    summary.events.forEach(event => {
+        console.log(`  ${event.id}: ${event.count}回 / ${event.per_game.toFixed(2)} / ${percent(event.game_rate)}`);
+    });
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// データの読み込み（ブラウザと同じく、読み込めない場合はフォールバック定義を使用する）
+const endingSystem = new EndingSystem();
+const calendar = new Calendar();
+const eventSystem = new EventSystem();
+const loadLog = console.log;
+const loadWarn = console.warn;
+if (options.json) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+await endingSystem.loadEndings();
+await calendar.loadCalendar();
+await eventSystem.loadEvents({ max_days: new GameState(options.config).config.max_days });
+
+// ゲーム中のログ（休業日の警告・マイグレーションなど）は集計の妨げになるため出力しない
+console.log = () => {};
+console.warn = () => {};
+const results = [];
+for (let i = 0; i < options.games; i++) {
+    results.push(playGame({ eventSystem, endingSystem, calendar }, options, options.seed + i));
+}
+console.log = loadLog;
+console.warn = loadWarn;
+
+const summary = summarize(results, endingSystem);
+if (options.json) {
+    console.log(JSON.stringify({ strategy: options.strategy, seed: options.seed, config: options.config, ...summary }, null, 2));
+} else {
+    printSummary(summary, options);
+}
@@ -0,0 +1,28 @@
+// イベントデータ（events.json）の検証スクリプト
+// 使い方: node tools/validateEvents.mjs [events.jsonのパス] [--max-days 30]
+// エラーがある場合は終了コード1で終了する
+
+import { readFile } from 'node:fs/promises';
+import { validateEvents } from '../js/eventValidator.js';
+import { GameState } from '../js/gameState.js';
+
+const args = process.argv.slice(2);
+const maxDaysIndex = args.indexOf('--max-days');
+const maxDays = maxDaysIndex >= 0 ? Number(args[maxDaysIndex + 1]) : new GameState().config.max_days;
+const filePath = args.find((arg, index) => !arg.startsWith('--') && (maxDaysIndex < 0 || index !== maxDaysIndex + 1)) || 'assets/data/events.json';
+
+let data;
+try {
+    data = JSON.parse(await readFile(filePath, 'utf8'));
+} catch (error) {
+    console.error(`${filePath} を読み込めません: ${error.message}`);
+    process.exit(1);
+}
+
+const { errors, warnings } = validateEvents(data.events, { max_days: maxDays });
+
+warnings.forEach(message => console.warn(`警告: ${message}`));
+errors.forEach(message => console.error(`エラー: ${message}`));
+console.log(`${filePath}: イベント${(data.events || []).length}件 / エラー${errors.length}件 / 警告${warnings.length}件`);
+
+process.exit(errors.length > 0 ? 1 : 0);